@@ -0,0 +1,307 @@
+// arbScanner.js - Ranks markets by the combined implied probability of their best taker odds and sizes arbitrage
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { fetchOrders } from '../fetch-orders/orderFetcher.js';
+import { fetchFixturesForLeague, fetchMarketsForEvent } from '../fetchSports.js';
+import { OrderBook } from '../websocket/orderBook.js';
+import { fetchMarketLookup, getOutcomeLabel, getMarketTypeName } from '../common/marketTypes.js';
+import { ODDS_PRECISION, ODDS_DECIMALS, formatFixed, formatImpliedOdds, toNominalAmount } from '../common/odds.js';
+import { formatOdds } from '../common/oddsFormat.js';
+import { ArgumentError } from '../common/errors.js';
+
+// Markets per order request, to keep request URLs short
+const ORDER_REQUEST_MARKETS = 20;
+
+// Scan options (shared by arb-scanner/index.js and `sx arb`)
+export const ARB_SCAN_OPTIONS = {
+  market: { type: 'hash', multiple: true, placeholder: 'market hash', description: 'Markets to scan' },
+  league: { type: 'integer', placeholder: 'league ID', description: 'Scan every active market of this league\'s fixtures instead' },
+  'all-lines': { type: 'flag', description: 'With --league, include alternate lines' },
+  'only-arbs': { type: 'flag', description: 'Only list markets where the best odds are an arbitrage' },
+  limit: { type: 'integer', min: 1, description: 'List at most this many markets' }
+};
+
+/**
+ * Converts parsed ARB_SCAN_OPTIONS values into scanArbitrage parameters
+ * @param {Object} values - Parsed option values
+ * @returns {Object} - Scan parameters
+ * @throws {ArgumentError} - When neither or both of --market and --league are given
+ */
+export function getScanParams(values) {
+  if (Boolean(values.market) === (values.league !== undefined)) {
+    throw new ArgumentError('Pass either --market or --league', 'market');
+  }
+  return {
+    marketHashes: values.market,
+    leagueId: values.league,
+    onlyMainLine: !values['all-lines'],
+    onlyArbitrage: Boolean(values['only-arbs']),
+    limit: values.limit
+  };
+}
+
+/**
+ * Divides two BigInts, rounding up
+ * @param {bigint} value - Dividend
+ * @param {bigint} divisor - Divisor
+ * @returns {bigint} - Quotient rounded up
+ */
+function divideRoundingUp(value, divisor) {
+  return (value + divisor - 1n) / divisor;
+}
+
+/**
+ * Sizes the largest arbitrage the books can absorb. Walks both outcomes' price levels from
+ * the best, staking each pair of levels so either outcome pays the same, for as long as the
+ * pair's combined taker odds stay below 100%.
+ * @param {Array} depthOne - Outcome one levels, best first (from OrderBook.getDepth)
+ * @param {Array} depthTwo - Outcome two levels, best first
+ * @returns {Object} - { stakeOne, stakeTwo, totalStake, payout, profit } in base units
+ */
+export function sizeArbitrage(depthOne, depthTwo) {
+  let stakeOne = 0n;
+  let stakeTwo = 0n;
+  let payout = 0n;
+
+  let i = 0;
+  let j = 0;
+  let spaceOne = depthOne.length > 0 ? depthOne[0].takerSpace : 0n;
+  let spaceTwo = depthTwo.length > 0 ? depthTwo[0].takerSpace : 0n;
+
+  while (i < depthOne.length && j < depthTwo.length && depthOne[i].takerOdds + depthTwo[j].takerOdds < ODDS_PRECISION) {
+    const oddsOne = depthOne[i].takerOdds;
+    const oddsTwo = depthTwo[j].takerOdds;
+
+    // Payout each side's remaining space at this level can buy; the smaller one limits the pair
+    const payoutOne = (spaceOne * ODDS_PRECISION) / oddsOne;
+    const payoutTwo = (spaceTwo * ODDS_PRECISION) / oddsTwo;
+    const levelPayout = payoutOne < payoutTwo ? payoutOne : payoutTwo;
+
+    // Stakes round up so the reported profit is never overstated
+    const levelStakeOne = divideRoundingUp(levelPayout * oddsOne, ODDS_PRECISION);
+    const levelStakeTwo = divideRoundingUp(levelPayout * oddsTwo, ODDS_PRECISION);
+    stakeOne += levelStakeOne;
+    stakeTwo += levelStakeTwo;
+    payout += levelPayout;
+    spaceOne -= levelStakeOne;
+    spaceTwo -= levelStakeTwo;
+
+    if (payoutOne <= payoutTwo) {
+      i++;
+      spaceOne = i < depthOne.length ? depthOne[i].takerSpace : 0n;
+    }
+    if (payoutTwo <= payoutOne) {
+      j++;
+      spaceTwo = j < depthTwo.length ? depthTwo[j].takerSpace : 0n;
+    }
+  }
+
+  const totalStake = stakeOne + stakeTwo;
+  return { stakeOne, stakeTwo, totalStake, payout, profit: payout - totalStake };
+}
+
+/**
+ * Analyses one market's order book. The combined implied probability is the sum of the best
+ * taker odds on both outcomes: above 100% is the book's overround, below 100% is an arbitrage.
+ * @param {OrderBook} orderBook - Order book for the market
+ * @returns {Object} - { marketHash, bestOne, bestTwo, combinedOdds, margin, arbitrage, sizing }.
+ *   combinedOdds and margin (combinedOdds - 100%) are null when either outcome has no liquidity;
+ *   sizing is null unless the market is an arbitrage.
+ */
+export function analyseOrderBook(orderBook) {
+  const depthOne = orderBook.getDepth(1);
+  const depthTwo = orderBook.getDepth(2);
+  const bestOne = depthOne[0] || null;
+  const bestTwo = depthTwo[0] || null;
+
+  if (!bestOne || !bestTwo) {
+    return { marketHash: orderBook.marketHash, bestOne, bestTwo, combinedOdds: null, margin: null, arbitrage: false, sizing: null };
+  }
+
+  const combinedOdds = bestOne.takerOdds + bestTwo.takerOdds;
+  const arbitrage = combinedOdds < ODDS_PRECISION;
+  return {
+    marketHash: orderBook.marketHash,
+    bestOne,
+    bestTwo,
+    combinedOdds,
+    margin: combinedOdds - ODDS_PRECISION,
+    arbitrage,
+    sizing: arbitrage ? sizeArbitrage(depthOne, depthTwo) : null
+  };
+}
+
+/**
+ * Fetches the markets to scan: the given hashes, or every active market of a league's fixtures
+ * @param {Object} params - { marketHashes, leagueId, onlyMainLine }
+ * @param {SXBetClient} client - API client
+ * @returns {Promise<Object>} - { marketHashes, markets } with market details keyed by hash
+ */
+async function fetchScanMarkets({ marketHashes, leagueId, onlyMainLine }, client) {
+  if (marketHashes && marketHashes.length > 0) {
+    return { marketHashes, markets: await fetchMarketLookup(marketHashes, client) };
+  }
+
+  const fixtures = await fetchFixturesForLeague(leagueId, client, { throwOnError: true });
+  const markets = new Map();
+  for (const fixture of fixtures) {
+    // A fixture whose markets fail to load is logged and skipped
+    for (const market of await fetchMarketsForEvent(fixture.eventId, client, { onlyMainLine })) {
+      markets.set(market.marketHash, market);
+    }
+  }
+  return { marketHashes: [...markets.keys()], markets };
+}
+
+/**
+ * Scans markets for overround and arbitrage from their current order books
+ * @param {Object} params - Scan parameters
+ * @param {string[]} params.marketHashes - Markets to scan
+ * @param {number} params.leagueId - League to scan instead (all active markets of its fixtures)
+ * @param {boolean} params.onlyMainLine - With leagueId, only scan main lines (default: true)
+ * @param {boolean} params.onlyArbitrage - Only rank markets that are an arbitrage (default: false)
+ * @param {number} params.limit - Keep at most this many ranked markets (default: all)
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Object>} - { scannedAt, scanned, ranked, oneSided }. ranked holds analyses
+ *   (plus their market details) with liquidity on both outcomes, lowest combined odds first;
+ *   oneSided lists the hashes of markets missing liquidity on an outcome.
+ */
+export async function scanArbitrage({ marketHashes, leagueId, onlyMainLine = true, onlyArbitrage = false, limit } = {}, client = getDefaultClient()) {
+  if ((!marketHashes || marketHashes.length === 0) && leagueId === undefined) {
+    throw new Error('Market hashes or a league ID are required');
+  }
+
+  const scan = await fetchScanMarkets({ marketHashes, leagueId, onlyMainLine }, client);
+
+  const orders = [];
+  for (let index = 0; index < scan.marketHashes.length; index += ORDER_REQUEST_MARKETS) {
+    orders.push(...await fetchOrders(scan.marketHashes.slice(index, index + ORDER_REQUEST_MARKETS), client));
+  }
+
+  const analyses = scan.marketHashes.map(marketHash => ({
+    ...analyseOrderBook(new OrderBook(marketHash).seed(orders.filter(order => order.marketHash === marketHash))),
+    market: scan.markets.get(marketHash)
+  }));
+
+  let ranked = analyses
+    .filter(analysis => analysis.combinedOdds !== null && (!onlyArbitrage || analysis.arbitrage))
+    .sort((a, b) => (a.combinedOdds < b.combinedOdds ? -1 : a.combinedOdds > b.combinedOdds ? 1 : 0));
+  if (limit !== undefined) {
+    ranked = ranked.slice(0, limit);
+  }
+
+  return {
+    scannedAt: new Date().toISOString(),
+    scanned: analyses.length,
+    ranked,
+    oneSided: analyses.filter(analysis => analysis.combinedOdds === null).map(analysis => analysis.marketHash)
+  };
+}
+
+/**
+ * Describes a market for a table row, e.g. "Lakers vs Celtics | Asian Handicap"
+ * @param {Object} market - Market details (undefined when unknown)
+ * @returns {string} - Description
+ */
+function describeMarket(market) {
+  if (!market) {
+    return 'Unknown market';
+  }
+  const teams = market.teamOneName && market.teamTwoName ? `${market.teamOneName} vs ${market.teamTwoName} | ` : '';
+  return `${teams}${getMarketTypeName(market.type)}`;
+}
+
+/**
+ * Converts a price level to plain JSON values
+ * @param {Object|null} level - Level from OrderBook.getDepth
+ * @returns {Object|null} - { takerOdds, takerSpace, orderCount }
+ */
+function levelToJson(level) {
+  return level && {
+    takerOdds: formatFixed(level.takerOdds, ODDS_DECIMALS),
+    takerSpace: toNominalAmount(level.takerSpace),
+    orderCount: level.orderCount
+  };
+}
+
+/**
+ * Converts a scan to plain JSON values (implied odds and nominal USDC strings)
+ * @param {Object} scan - Scan from scanArbitrage
+ * @returns {Object} - JSON-safe scan
+ */
+export function arbScanToJson(scan) {
+  return {
+    scannedAt: scan.scannedAt,
+    scanned: scan.scanned,
+    ranked: scan.ranked.map((analysis, index) => ({
+      rank: index + 1,
+      marketHash: analysis.marketHash,
+      type: analysis.market ? analysis.market.type : null,
+      typeName: analysis.market ? getMarketTypeName(analysis.market.type) : null,
+      line: analysis.market && analysis.market.line !== undefined ? analysis.market.line : null,
+      outcomeOne: { label: getOutcomeLabel(analysis.market, 1), ...levelToJson(analysis.bestOne) },
+      outcomeTwo: { label: getOutcomeLabel(analysis.market, 2), ...levelToJson(analysis.bestTwo) },
+      combinedOdds: formatFixed(analysis.combinedOdds, ODDS_DECIMALS),
+      margin: formatFixed(analysis.margin, ODDS_DECIMALS),
+      arbitrage: analysis.arbitrage,
+      sizing: analysis.sizing && {
+        stakeOne: toNominalAmount(analysis.sizing.stakeOne),
+        stakeTwo: toNominalAmount(analysis.sizing.stakeTwo),
+        totalStake: toNominalAmount(analysis.sizing.totalStake),
+        payout: toNominalAmount(analysis.sizing.payout),
+        profit: toNominalAmount(analysis.sizing.profit)
+      }
+    })),
+    oneSided: scan.oneSided
+  };
+}
+
+/**
+ * Prints a scan as a ranked table
+ * @param {Object} scan - Scan from scanArbitrage
+ * @param {string} oddsFormat - Format for displayed odds (default: decimal)
+ */
+export function displayArbScan(scan, oddsFormat = 'decimal') {
+  const amount = value => toNominalAmount(value, 6, 2);
+  const side = (market, outcome, level) =>
+    `${getOutcomeLabel(market, outcome)} ${formatOdds(level.takerOdds, oddsFormat)} x ${amount(level.takerSpace)}`;
+
+  console.log('\n================ ARBITRAGE SCAN ================');
+  console.log(`Markets scanned: ${scan.scanned}`);
+  console.log(`Arbitrage:       ${scan.ranked.filter(analysis => analysis.arbitrage).length}`);
+  if (scan.oneSided.length > 0) {
+    console.log(`Skipped (no liquidity on an outcome): ${scan.oneSided.length}`);
+  }
+
+  if (scan.ranked.length === 0) {
+    console.log('\nNo markets with liquidity on both outcomes.');
+    console.log('================================================\n');
+    return;
+  }
+
+  console.log('\nRank | Market (first 10 chars) | Market | Outcome One (odds x USDC) | Outcome Two (odds x USDC) | Combined | Margin | Max Stake | Profit');
+  console.log('---- | ----------------------- | ------ | ------------------------- | ------------------------- | -------- | ------ | --------- | ------');
+  scan.ranked.forEach((analysis, index) => {
+    const sizing = analysis.sizing;
+    console.log(
+      `${index + 1} | ${analysis.marketHash.substring(0, 10)}... | ${describeMarket(analysis.market)} | ` +
+      `${side(analysis.market, 1, analysis.bestOne)} | ${side(analysis.market, 2, analysis.bestTwo)} | ` +
+      `${formatImpliedOdds(analysis.combinedOdds)} | ${formatImpliedOdds(analysis.margin)} | ` +
+      `${sizing ? amount(sizing.totalStake) : '-'} | ${sizing ? amount(sizing.profit) : '-'}`
+    );
+  });
+
+  // Spell out the stake split for each arbitrage
+  const arbitrages = scan.ranked.filter(analysis => analysis.arbitrage);
+  if (arbitrages.length > 0) {
+    console.log('\nArbitrage stakes (either outcome pays the same):');
+    arbitrages.forEach(analysis => {
+      const { sizing, market } = analysis;
+      console.log(
+        `  ${analysis.marketHash.substring(0, 10)}... | ${amount(sizing.stakeOne)} on ${getOutcomeLabel(market, 1)} + ` +
+        `${amount(sizing.stakeTwo)} on ${getOutcomeLabel(market, 2)} = ${amount(sizing.totalStake)} USDC, ` +
+        `pays ${amount(sizing.payout)} (profit ${amount(sizing.profit)})`
+      );
+    });
+  }
+  console.log('================================================\n');
+}
@@ -0,0 +1,63 @@
+// index.js - Entry point for the arbitrage scanner: rank markets by overround and size any arbitrage
+import dotenv from 'dotenv';
+import { scanArbitrage, arbScanToJson, displayArbScan, getScanParams, ARB_SCAN_OPTIONS } from './arbScanner.js';
+import { parseCommandArgs, formatUsage } from '../common/cliArgs.js';
+import { getOddsFormat } from '../common/oddsFormat.js';
+import { ArgumentError } from '../common/errors.js';
+
+dotenv.config();
+
+// Command line options (also used to generate --help)
+const OPTIONS = {
+  ...ARB_SCAN_OPTIONS,
+  json: { type: 'flag', description: 'Print the scan as JSON' },
+  network: { type: 'string', placeholder: 'SXR|SXN|testnet', description: 'Network profile to use (or set SX_NETWORK)' },
+  'odds-format': { type: 'string', placeholder: 'format', description: 'implied, decimal, american, fractional or hongkong (or set SX_ODDS_FORMAT)' }
+};
+
+const USAGE = {
+  command: 'node index.js',
+  description: 'Rank markets by the combined implied probability of their best taker odds (overround above 100%, arbitrage below) and size the largest arbitrage the books allow.',
+  options: OPTIONS,
+  examples: [
+    'node index.js --market 0x...,0x...',
+    'node index.js --league 1236 --all-lines --limit 20',
+    'node index.js --league 1236 --only-arbs --json'
+  ]
+};
+
+// Main function to scan and print the ranked markets
+async function main() {
+  try {
+    const { values: options } = parseCommandArgs(OPTIONS);
+
+    if (options.help) {
+      console.log(formatUsage(USAGE));
+      return;
+    }
+
+    const params = getScanParams(options);
+    const oddsFormat = getOddsFormat('decimal');
+
+    const log = options.json ? console.error : console.log;
+    log(params.leagueId !== undefined ? `Scanning league ${params.leagueId}...` : `Scanning ${params.marketHashes.length} market(s)...`);
+    const scan = await scanArbitrage(params);
+
+    if (options.json) {
+      console.log(JSON.stringify(arbScanToJson(scan), null, 2));
+    } else {
+      displayArbScan(scan, oddsFormat);
+    }
+  } catch (error) {
+    if (error instanceof ArgumentError) {
+      console.error(`${error.message}\nRun with --help to see the available options.`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error('Error in main function:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the main function
+main();
@@ -0,0 +1,142 @@
+// catalogCrawler.js - Walks every active sport, league, fixture and market into one normalized snapshot
+import { getDefaultClient } from '../common/sxBetClient.js';
+import {
+  fetchSports,
+  fetchActiveLeaguesForSport,
+  fetchFixturesForLeague,
+  fetchMarketsForEvent
+} from '../fetchSports.js';
+
+// Snapshot layout version, stored with each snapshot
+export const CATALOG_SNAPSHOT_VERSION = 1;
+
+// Requests in flight at once unless overridden
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Keeps the fields of a fixture that the snapshot tracks
+ * @param {Object} fixture - Fixture from the API
+ * @returns {Object} - Normalized fixture
+ */
+function normalizeFixture(fixture) {
+  return {
+    eventId: fixture.eventId,
+    leagueId: fixture.leagueId,
+    sportId: fixture.sportId,
+    participantOneName: fixture.participantOneName,
+    participantTwoName: fixture.participantTwoName,
+    startDate: fixture.startDate,
+    status: fixture.status
+  };
+}
+
+/**
+ * Keeps the fields of a market that the snapshot tracks
+ * @param {Object} market - Market from the API
+ * @param {string} eventId - Event the market was fetched for
+ * @returns {Object} - Normalized market
+ */
+function normalizeMarket(market, eventId) {
+  return {
+    marketHash: market.marketHash,
+    eventId,
+    type: market.type,
+    line: market.line !== undefined ? market.line : null,
+    mainLine: Boolean(market.mainLine),
+    outcomeOneName: market.outcomeOneName,
+    outcomeTwoName: market.outcomeTwoName,
+    status: market.status,
+    liveEnabled: Boolean(market.liveEnabled),
+    gameTime: market.gameTime
+  };
+}
+
+/**
+ * Crawls the active catalog: sports, then each sport's leagues, each league's fixtures
+ * and each fixture's markets. A failed request is recorded in `errors` and its branch is
+ * skipped, so one bad league does not abort the crawl.
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Requests in flight at once (default: 4)
+ * @param {number[]} options.sportIds - Only crawl these sports (default: all)
+ * @param {Function} options.onProgress - Called after each level with { stage, count }
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Object>} - Snapshot: { version, createdAt, network, sportIds, sports, leagues, fixtures, markets, errors }.
+ *   sportIds is null for a full crawl.
+ */
+export async function crawlCatalog({ concurrency = DEFAULT_CONCURRENCY, sportIds, onProgress } = {}, client = getDefaultClient()) {
+  const errors = [];
+  const strict = { throwOnError: true };
+
+  // Runs one request, recording its failure instead of throwing
+  const attempt = async (scope, id, request) => {
+    try {
+      return await request();
+    } catch (error) {
+      errors.push({ scope, id, message: error.message });
+      return [];
+    }
+  };
+
+  const report = (stage, count) => {
+    if (onProgress) {
+      onProgress({ stage, count });
+    }
+  };
+
+  let sports = await attempt('sports', null, () => fetchSports(client, strict));
+  if (sportIds && sportIds.length > 0) {
+    sports = sports.filter(sport => sportIds.includes(sport.sportId));
+  }
+  report('sports', sports.length);
+
+  const leagues = (await mapWithConcurrency(sports, concurrency, sport =>
+    attempt('sport', sport.sportId, () => fetchActiveLeaguesForSport(sport.sportId, client, strict))
+      .then(rows => rows.map(league => ({ leagueId: league.leagueId, sportId: sport.sportId, label: league.label })))
+  )).flat();
+  report('leagues', leagues.length);
+
+  const fixtures = (await mapWithConcurrency(leagues, concurrency, league =>
+    attempt('league', league.leagueId, () => fetchFixturesForLeague(league.leagueId, client, strict))
+  )).flat().map(normalizeFixture);
+  report('fixtures', fixtures.length);
+
+  const markets = (await mapWithConcurrency(fixtures, concurrency, fixture =>
+    attempt('event', fixture.eventId, () => fetchMarketsForEvent(fixture.eventId, client, strict))
+      .then(rows => rows.map(market => normalizeMarket(market, fixture.eventId)))
+  )).flat();
+  report('markets', markets.length);
+
+  return {
+    version: CATALOG_SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    network: client.network.name,
+    sportIds: sportIds && sportIds.length > 0 ? sportIds : null,
+    sports: sports.map(sport => ({ sportId: sport.sportId, label: sport.label })),
+    leagues,
+    fixtures,
+    markets,
+    errors
+  };
+}
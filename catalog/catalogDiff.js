@@ -0,0 +1,148 @@
+// catalogDiff.js - Compares two catalog snapshots: new and removed markets and moved main lines
+
+/**
+ * Groups main-line markets by event and market type
+ * @param {Array} markets - Snapshot markets
+ * @returns {Map<string, Array>} - Markets keyed by "eventId:type"
+ */
+function groupMainLines(markets) {
+  const groups = new Map();
+  for (const market of markets) {
+    if (!market.mainLine) {
+      continue;
+    }
+    const key = `${market.eventId}:${market.type}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(market);
+  }
+  return groups;
+}
+
+/**
+ * Limits a snapshot's markets to the given sports
+ * @param {Object} snapshot - Snapshot
+ * @param {number[]|null} sportIds - Sports to keep (null keeps everything)
+ * @returns {Array} - Markets
+ */
+function getMarketsForSports(snapshot, sportIds) {
+  if (!sportIds) {
+    return snapshot.markets;
+  }
+  const eventIds = new Set(snapshot.fixtures.filter(fixture => sportIds.includes(fixture.sportId)).map(fixture => fixture.eventId));
+  return snapshot.markets.filter(market => eventIds.has(market.eventId));
+}
+
+/**
+ * Diffs two snapshots. When the new crawl covered only some sports, the previous snapshot
+ * is compared for those sports only. When an event's main line for a market type moves to a
+ * new market, the pair is reported as a line change rather than as one new and one removed market.
+ * @param {Object|null} previous - Earlier snapshot (null for the first crawl)
+ * @param {Object} current - New snapshot
+ * @returns {Object} - { previousCreatedAt, addedMarkets, removedMarkets, lineChanges, incomplete }.
+ *   incomplete is true when either crawl had failed requests, so removals may not be real.
+ * @throws {Error} - If the snapshots come from different networks
+ */
+export function diffSnapshots(previous, current) {
+  // Market hashes differ per network, so a cross-network diff would list every market
+  if (previous && previous.network && current.network && previous.network !== current.network) {
+    throw new Error(`Cannot diff a crawl of network ${current.network} against a snapshot of network ${previous.network}`);
+  }
+
+  const previousMarkets = previous ? getMarketsForSports(previous, current.sportIds) : [];
+  const previousHashes = new Set(previousMarkets.map(market => market.marketHash));
+  const currentHashes = new Set(current.markets.map(market => market.marketHash));
+
+  let addedMarkets = current.markets.filter(market => !previousHashes.has(market.marketHash));
+  let removedMarkets = previousMarkets.filter(market => !currentHashes.has(market.marketHash));
+
+  // An event/type with exactly one main line on each side whose line differs has moved
+  const lineChanges = [];
+  const currentMainLines = groupMainLines(current.markets);
+  for (const [key, before] of groupMainLines(previousMarkets)) {
+    const after = currentMainLines.get(key);
+    if (before.length !== 1 || !after || after.length !== 1 || before[0].line === after[0].line) {
+      continue;
+    }
+    lineChanges.push({
+      eventId: after[0].eventId,
+      type: after[0].type,
+      previousLine: before[0].line,
+      line: after[0].line,
+      previousMarketHash: before[0].marketHash,
+      marketHash: after[0].marketHash
+    });
+  }
+
+  const moved = new Set(lineChanges.flatMap(change => [change.previousMarketHash, change.marketHash]));
+  addedMarkets = addedMarkets.filter(market => !moved.has(market.marketHash));
+  removedMarkets = removedMarkets.filter(market => !moved.has(market.marketHash));
+
+  return {
+    previousCreatedAt: previous ? previous.createdAt : null,
+    addedMarkets,
+    removedMarkets,
+    lineChanges,
+    incomplete: current.errors.length > 0 || Boolean(previous && previous.errors.length > 0)
+  };
+}
+
+/**
+ * Prints a snapshot summary and its diff against the previous snapshot
+ * @param {Object} snapshot - New snapshot
+ * @param {Object} diff - Diff from diffSnapshots
+ */
+export function displayCatalogDiff(snapshot, diff) {
+  console.log('\n=========== CATALOG SNAPSHOT ===========');
+  console.log(`Sports:    ${snapshot.sports.length}`);
+  console.log(`Leagues:   ${snapshot.leagues.length}`);
+  console.log(`Fixtures:  ${snapshot.fixtures.length}`);
+  console.log(`Markets:   ${snapshot.markets.length}`);
+  if (snapshot.errors.length > 0) {
+    console.log(`Failed requests: ${snapshot.errors.length}`);
+    snapshot.errors.forEach(error => console.log(`  ${error.scope} ${error.id === null ? '' : error.id}: ${error.message}`));
+  }
+
+  if (!diff.previousCreatedAt) {
+    console.log('\nNo previous snapshot to compare against.');
+    console.log('========================================\n');
+    return;
+  }
+
+  console.log(`\nChanges since ${new Date(diff.previousCreatedAt).toLocaleString()}:`);
+  console.log(`New markets:      ${diff.addedMarkets.length}`);
+  console.log(`Removed markets:  ${diff.removedMarkets.length}`);
+  console.log(`Line changes:     ${diff.lineChanges.length}`);
+  if (diff.incomplete) {
+    console.log('Warning: a crawl had failed requests, so some removals may not be real.');
+  }
+
+  const printMarkets = (title, markets) => {
+    if (markets.length === 0) {
+      return;
+    }
+    console.log(`\n${title}:`);
+    console.log('Event ID | Market Hash | Type | Line | Outcome One | Outcome Two');
+    console.log('-------- | ----------- | ---- | ---- | ----------- | -----------');
+    markets.forEach(market => {
+      console.log(
+        `${market.eventId} | ${market.marketHash} | ${market.type} | ${market.line === null ? '-' : market.line} | ` +
+        `${market.outcomeOneName} | ${market.outcomeTwoName}`
+      );
+    });
+  };
+
+  printMarkets('New markets', diff.addedMarkets);
+  printMarkets('Removed markets', diff.removedMarkets);
+
+  if (diff.lineChanges.length > 0) {
+    console.log('\nLine changes:');
+    console.log('Event ID | Type | Previous Line | Line | Market Hash');
+    console.log('-------- | ---- | ------------- | ---- | -----------');
+    diff.lineChanges.forEach(change => {
+      console.log(`${change.eventId} | ${change.type} | ${change.previousLine} | ${change.line} | ${change.marketHash}`);
+    });
+  }
+  console.log('========================================\n');
+}
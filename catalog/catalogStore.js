@@ -0,0 +1,162 @@
+// catalogStore.js - Reads and writes catalog snapshots as JSON files or SQLite databases
+import fs from 'fs';
+import path from 'path';
+
+// Files with these extensions are SQLite databases; anything else is JSON
+const SQLITE_EXTENSIONS = ['.db', '.sqlite', '.sqlite3'];
+
+// One table per snapshot collection: snapshot key -> column, in insert order
+const SQLITE_TABLES = {
+  sports: { sportId: 'sport_id', label: 'label' },
+  leagues: { leagueId: 'league_id', sportId: 'sport_id', label: 'label' },
+  fixtures: {
+    eventId: 'event_id',
+    leagueId: 'league_id',
+    sportId: 'sport_id',
+    participantOneName: 'participant_one_name',
+    participantTwoName: 'participant_two_name',
+    startDate: 'start_date',
+    status: 'status'
+  },
+  markets: {
+    marketHash: 'market_hash',
+    eventId: 'event_id',
+    type: 'type',
+    line: 'line',
+    mainLine: 'main_line',
+    outcomeOneName: 'outcome_one_name',
+    outcomeTwoName: 'outcome_two_name',
+    status: 'status',
+    liveEnabled: 'live_enabled',
+    gameTime: 'game_time'
+  }
+};
+
+// Boolean columns are stored as 0/1 in SQLite
+const BOOLEAN_KEYS = ['mainLine', 'liveEnabled'];
+
+/**
+ * Converts a snapshot value to one SQLite can bind (no booleans or undefined)
+ * @param {string} key - Snapshot key
+ * @param {*} value - Value
+ * @returns {*} - Bindable value
+ */
+function toSqliteValue(key, value) {
+  if (value === undefined) {
+    return null;
+  }
+  return BOOLEAN_KEYS.includes(key) ? Number(value) : value;
+}
+
+/**
+ * Gets the storage format for a path
+ * @param {string} file - Snapshot path
+ * @returns {string} - sqlite or json
+ */
+export function getSnapshotFormat(file) {
+  return SQLITE_EXTENSIONS.includes(path.extname(file).toLowerCase()) ? 'sqlite' : 'json';
+}
+
+/**
+ * Opens a SQLite database with better-sqlite3, which is loaded only when SQLite output is used
+ * @param {string} file - Database path
+ * @returns {Promise<Object>} - Database handle with the snapshot tables created
+ */
+async function openDatabase(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error(`SQLite snapshots need the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+
+  const db = new Database(file);
+  db.exec('CREATE TABLE IF NOT EXISTS snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, version INTEGER, created_at TEXT, network TEXT, sport_ids TEXT, errors TEXT)');
+  for (const [table, columns] of Object.entries(SQLITE_TABLES)) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (snapshot_id INTEGER NOT NULL REFERENCES snapshots(id), ${Object.values(columns).join(', ')})`);
+    db.exec(`CREATE INDEX IF NOT EXISTS ${table}_snapshot ON ${table} (snapshot_id)`);
+  }
+  return db;
+}
+
+/**
+ * Writes a snapshot. JSON files are replaced atomically; SQLite databases keep every
+ * snapshot and add the new one in a single transaction.
+ * @param {Object} snapshot - Snapshot from crawlCatalog
+ * @param {string} file - Output path (.json, or .db/.sqlite/.sqlite3 for SQLite)
+ * @returns {Promise<void>}
+ */
+export async function writeSnapshot(snapshot, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  if (getSnapshotFormat(file) === 'json') {
+    const tempPath = `${file}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(tempPath, file);
+    return;
+  }
+
+  const db = await openDatabase(file);
+  try {
+    db.transaction(() => {
+      const { lastInsertRowid: snapshotId } = db
+        .prepare('INSERT INTO snapshots (version, created_at, network, sport_ids, errors) VALUES (?, ?, ?, ?, ?)')
+        .run(snapshot.version, snapshot.createdAt, snapshot.network, JSON.stringify(snapshot.sportIds), JSON.stringify(snapshot.errors));
+
+      for (const [table, columns] of Object.entries(SQLITE_TABLES)) {
+        const keys = Object.keys(columns);
+        const insert = db.prepare(
+          `INSERT INTO ${table} (snapshot_id, ${Object.values(columns).join(', ')}) VALUES (?, ${keys.map(() => '?').join(', ')})`
+        );
+        for (const row of snapshot[table]) {
+          insert.run(snapshotId, ...keys.map(key => toSqliteValue(key, row[key])));
+        }
+      }
+    })();
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Reads the snapshot stored at a path (the most recent one for SQLite)
+ * @param {string} file - Snapshot path
+ * @returns {Promise<Object|null>} - Snapshot, or null when there is none
+ */
+export async function readSnapshot(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  if (getSnapshotFormat(file) === 'json') {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const db = await openDatabase(file);
+  try {
+    const row = db.prepare('SELECT * FROM snapshots ORDER BY id DESC LIMIT 1').get();
+    if (!row) {
+      return null;
+    }
+
+    const snapshot = {
+      version: row.version,
+      createdAt: row.created_at,
+      network: row.network,
+      sportIds: JSON.parse(row.sport_ids || 'null'),
+      errors: JSON.parse(row.errors || '[]')
+    };
+    for (const [table, columns] of Object.entries(SQLITE_TABLES)) {
+      snapshot[table] = db.prepare(`SELECT * FROM ${table} WHERE snapshot_id = ?`).all(row.id).map(record => {
+        const item = {};
+        for (const [key, column] of Object.entries(columns)) {
+          item[key] = BOOLEAN_KEYS.includes(key) ? Boolean(record[column]) : record[column];
+        }
+        return item;
+      });
+    }
+    return snapshot;
+  } finally {
+    db.close();
+  }
+}
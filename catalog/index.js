@@ -0,0 +1,121 @@
+// index.js - Entry point for the catalog crawler: snapshot the active catalog and diff it against the last run
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { crawlCatalog, DEFAULT_CONCURRENCY } from './catalogCrawler.js';
+import { readSnapshot, writeSnapshot } from './catalogStore.js';
+import { diffSnapshots, displayCatalogDiff } from './catalogDiff.js';
+import { parseCommandArgs, formatUsage } from '../common/cliArgs.js';
+import { ArgumentError } from '../common/errors.js';
+import { getDefaultClient } from '../common/sxBetClient.js';
+
+dotenv.config();
+
+// Default snapshot location (ignored by git)
+const DEFAULT_OUTPUT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'snapshots', 'catalog.json');
+
+// Command line options (also used to generate --help)
+const OPTIONS = {
+  output: { type: 'string', placeholder: 'file', description: 'Snapshot file: .json, or .db/.sqlite for SQLite (needs better-sqlite3; default: snapshots/catalog.json)' },
+  previous: { type: 'string', placeholder: 'file', description: 'Snapshot to diff against (default: the current contents of --output)' },
+  sport: { type: 'integer', multiple: true, placeholder: 'sport ID', description: 'Only crawl these sports' },
+  concurrency: { type: 'integer', min: 1, max: 16, default: DEFAULT_CONCURRENCY, description: 'Requests in flight at once' },
+  json: { type: 'flag', description: 'Print the diff as JSON' },
+  'allow-partial': { type: 'flag', description: 'Replace --output even if some requests failed (default: write a .partial file instead)' },
+  network: { type: 'string', placeholder: 'SXR|SXN|testnet', description: 'Network profile to use (or set SX_NETWORK)' }
+};
+
+const USAGE = {
+  command: 'node index.js',
+  description: 'Snapshot every active sport, league, fixture and main-line market, and report what changed since the last snapshot.',
+  options: OPTIONS,
+  examples: [
+    'node index.js',
+    'node index.js --sport 1,5 --concurrency 8',
+    'node index.js --output catalog.db --json'
+  ]
+};
+
+/**
+ * Gets the file a partial crawl is written to instead of the snapshot, e.g. catalog.partial.json
+ * @param {string} output - Snapshot file
+ * @returns {string} - Partial snapshot file
+ */
+function getPartialPath(output) {
+  const { dir, name, ext } = path.parse(output);
+  return path.join(dir, `${name}.partial${ext}`);
+}
+
+// Main function to crawl, store and diff the catalog
+async function main() {
+  try {
+    const { values: options } = parseCommandArgs(OPTIONS);
+
+    if (options.help) {
+      console.log(formatUsage(USAGE));
+      return;
+    }
+
+    const output = options.output || DEFAULT_OUTPUT;
+    const previous = await readSnapshot(options.previous || output);
+    if (options.previous && !previous) {
+      throw new ArgumentError(`No snapshot found at ${options.previous}`, 'previous');
+    }
+    
+    // Checked before crawling, so a snapshot of another network is neither diffed nor overwritten
+    const network = getDefaultClient().network.name;
+    if (previous && previous.network && previous.network !== network) {
+      throw new ArgumentError(
+        `${options.previous || output} is a snapshot of network ${previous.network} but this crawl uses ${network}; ` +
+        'pass a different --output or --previous',
+        options.previous ? 'previous' : 'output'
+      );
+    }
+
+    const log = options.json ? console.error : console.log;
+    log('Crawling the active catalog...');
+    const snapshot = await crawlCatalog({
+      concurrency: options.concurrency,
+      sportIds: options.sport,
+      onProgress: ({ stage, count }) => log(`  ${count} ${stage}`)
+    });
+
+    // Without the sport list there is nothing worth saving or diffing
+    if (snapshot.sports.length === 0 && snapshot.errors.length > 0) {
+      throw new Error(`Could not fetch sports: ${snapshot.errors[0].message}`);
+    }
+    
+    // A partial crawl would replace a good snapshot and show everything it missed as removed
+    if (snapshot.errors.length > 0 && !options['allow-partial']) {
+      const partialPath = getPartialPath(output);
+      await writeSnapshot(snapshot, partialPath);
+      console.error(
+        `Crawl finished with ${snapshot.errors.length} failed request(s); partial snapshot written to ${partialPath}, ` +
+        `${output} left unchanged. Run again, or pass --allow-partial to replace it anyway.`
+      );
+      process.exitCode = 1;
+      return;
+    }
+    
+    await writeSnapshot(snapshot, output);
+    log(`Snapshot written to ${output}`);
+
+    const diff = diffSnapshots(previous, snapshot);
+    if (options.json) {
+      console.log(JSON.stringify(diff, null, 2));
+    } else {
+      displayCatalogDiff(snapshot, diff);
+    }
+  } catch (error) {
+    if (error instanceof ArgumentError) {
+      console.error(`${error.message}\nRun with --help to see the available options.`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error('Error in main function:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the main function
+main();
@@ -0,0 +1,26 @@
+// arbCommand.js - `sx arb`: rank markets by overround and size any arbitrage from the best taker odds
+import { scanArbitrage, arbScanToJson, displayArbScan, getScanParams, ARB_SCAN_OPTIONS } from '../arb-scanner/arbScanner.js';
+
+/**
+ * Scans markets or a league and ranks them by combined implied probability
+ * @param {Object} values - Parsed options
+ * @param {Object} context - { oddsFormat }
+ * @returns {Promise<Object>} - { json, display }
+ */
+async function runArb(values, { oddsFormat }) {
+  const scan = await scanArbitrage(getScanParams(values));
+  return {
+    json: arbScanToJson(scan),
+    display: () => displayArbScan(scan, oddsFormat)
+  };
+}
+
+export const arbCommand = {
+  description: 'Rank markets by overround and size arbitrage from the best taker odds',
+  options: ARB_SCAN_OPTIONS,
+  examples: [
+    'sx arb --market 0x...,0x...',
+    'sx arb --league 1236 --all-lines --only-arbs --json'
+  ],
+  run: runArb
+};
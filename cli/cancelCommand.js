@@ -0,0 +1,64 @@
+// cancelCommand.js - `sx cancel`: cancel orders by hash, event, market or all at once
+import { ArgumentError } from '../common/errors.js';
+import { cancelOrders, cancelEventOrders, cancelMarketOrders, cancelAllOrders } from '../post-order/orderCanceller.js';
+
+/**
+ * Cancels the account's orders in the one scope given
+ * @param {Object} values - Parsed options
+ * @returns {Promise<Object>} - { json, display }
+ */
+async function runCancel(values) {
+  const scopes = ['order', 'event', 'market', 'all'].filter(scope => values[scope] !== undefined && values[scope] !== false);
+  if (scopes.length !== 1) {
+    throw new ArgumentError('Pass exactly one of --order, --event, --market or --all', scopes[1] || 'order');
+  }
+  if (values.all && !values.yes) {
+    throw new ArgumentError('--all cancels every open order on the account; add --yes to confirm', 'all');
+  }
+
+  let response;
+  let target;
+  switch (scopes[0]) {
+    case 'order':
+      response = await cancelOrders(values.order);
+      target = `${values.order.length} order(s)`;
+      break;
+    case 'event':
+      response = await cancelEventOrders(values.event);
+      target = `orders on event ${values.event}`;
+      break;
+    case 'market':
+      response = await cancelMarketOrders(values.market);
+      target = `orders on ${values.market.length} market(s)`;
+      break;
+    default:
+      response = await cancelAllOrders();
+      target = 'all orders';
+  }
+
+  return {
+    json: { scope: scopes[0], response },
+    display: () => {
+      const count = response && response.cancelledCount !== undefined ? ` (${response.cancelledCount} cancelled)` : '';
+      console.log(`Cancel request sent for ${target}${count}`);
+    }
+  };
+}
+
+export const cancelCommand = {
+  description: 'Cancel the account\'s orders',
+  interactive: () => import('../post-order/index.js'),
+  options: {
+    order: { type: 'hash', multiple: true, placeholder: 'order hash', description: 'Cancel these orders' },
+    event: { type: 'string', placeholder: 'event ID', description: 'Cancel every order on this event' },
+    market: { type: 'hash', multiple: true, placeholder: 'market hash', description: 'Cancel every order on these markets' },
+    all: { type: 'flag', description: 'Cancel every open order (requires --yes)' },
+    yes: { type: 'flag', description: 'Confirm --all' }
+  },
+  examples: [
+    'sx cancel --order 0x...,0x...',
+    'sx cancel --event L13772588 --json',
+    'sx cancel --all --yes'
+  ],
+  run: runCancel
+};
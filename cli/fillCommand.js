@@ -0,0 +1,141 @@
+// fillCommand.js - `sx fill`: sweep a market up to a stake and worst odds, or fill a single order
+import { ArgumentError } from '../common/errors.js';
+import { parseOdds, formatOdds } from '../common/oddsFormat.js';
+import { formatFixed, formatImpliedOdds, toNominalAmount, ODDS_DECIMALS } from '../common/odds.js';
+import { fetchOrders } from '../fetch-orders/orderFetcher.js';
+import { planTakerRoute } from '../fill-orders/takerRouter.js';
+import { previewFill, displayFillPreview } from '../fill-orders/fillPreview.js';
+import { fillOrder } from '../fill-orders/orderFiller.js';
+import { fetchMarketLookup, getOutcomeLabel } from '../common/marketTypes.js';
+import { EXIT_CODES } from './output.js';
+
+/**
+ * Fills (or with --dry-run, previews) one order by hash
+ * @param {Object} values - Parsed options
+ * @param {string} oddsFormat - Format for displayed odds
+ * @returns {Promise<Object>} - { json, display }
+ */
+async function fillSingleOrder(values, oddsFormat) {
+  const [orders, markets] = await Promise.all([fetchOrders(values.market), fetchMarketLookup([values.market])]);
+  const market = markets.get(values.market);
+  const order = orders.find(candidate => candidate.orderHash.toLowerCase() === values.order.toLowerCase());
+  if (!order) {
+    throw new Error(`Order ${values.order} is not active on market ${values.market}`);
+  }
+
+  const preview = previewFill(order, values.stake);
+  const fill = values['dry-run'] ? null : await fillOrder([order], [preview.fillAmount.toString()]);
+
+  return {
+    json: {
+      orderHash: order.orderHash,
+      outcome: preview.takerOutcome,
+      outcomeLabel: getOutcomeLabel(market, preview.takerOutcome),
+      stake: toNominalAmount(preview.takerStake),
+      potentialPayout: toNominalAmount(preview.potentialPayout),
+      profit: toNominalAmount(preview.profit),
+      effectiveOdds: formatFixed(preview.effectiveOdds, ODDS_DECIMALS),
+      fill
+    },
+    display: () => {
+      displayFillPreview(preview, oddsFormat, market);
+      if (fill) {
+        console.log('Fill result:', fill);
+      }
+    }
+  };
+}
+
+/**
+ * Sweeps the best-priced orders on a market (or with --dry-run, plans the sweep)
+ * @param {Object} values - Parsed options
+ * @param {string} oddsFormat - Format for --worst-odds and displayed odds
+ * @returns {Promise<Object>} - { json, display, exitCode }
+ */
+async function sweepMarket(values, oddsFormat) {
+  let worstImpliedOdds;
+  try {
+    worstImpliedOdds = formatFixed(parseOdds(values['worst-odds'], oddsFormat), ODDS_DECIMALS);
+  } catch (error) {
+    throw new ArgumentError(`Invalid value "${values['worst-odds']}" for --worst-odds: ${error.message}`, 'worst-odds');
+  }
+
+  const [orders, markets] = await Promise.all([fetchOrders(values.market), fetchMarketLookup([values.market])]);
+  const outcomeLabel = getOutcomeLabel(markets.get(values.market), values.outcome);
+  const route = planTakerRoute(orders, { outcome: values.outcome, stake: values.stake, worstImpliedOdds });
+  const fill = values['dry-run'] || route.legs.length === 0
+    ? null
+    : await fillOrder(route.legs.map(leg => leg.order), route.takerAmounts);
+
+  return {
+    json: {
+      outcome: values.outcome,
+      outcomeLabel,
+      legs: route.legs.map(leg => ({
+        orderHash: leg.order.orderHash,
+        takerOdds: formatFixed(leg.takerOdds, ODDS_DECIMALS),
+        stake: toNominalAmount(leg.takerStake),
+        fillAmount: leg.fillAmount.toString()
+      })),
+      filledStake: toNominalAmount(route.filledStake),
+      unfilledStake: toNominalAmount(route.unfilledStake),
+      averageOdds: route.averageOdds === null ? null : formatFixed(route.averageOdds, ODDS_DECIMALS),
+      fill
+    },
+    // Stake left unfilled (including none filled at all) is reported as incomplete
+    exitCode: route.unfilledStake > 0n ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK,
+    display: () => {
+      if (route.legs.length === 0) {
+        console.log('No orders available at or better than the worst acceptable odds.');
+        return;
+      }
+
+      console.log(`${values['dry-run'] ? 'Planned fills' : 'Filled'} on ${outcomeLabel}:`);
+      route.legs.forEach((leg, index) => {
+        console.log(
+          `  ${index + 1}. ${leg.order.orderHash.substring(0, 10)}... | ${formatOdds(leg.takerOdds, oddsFormat)} ` +
+          `(${formatImpliedOdds(leg.takerOdds)}) | Stake: ${toNominalAmount(leg.takerStake)} USDC`
+        );
+      });
+      console.log(`Total stake: ${toNominalAmount(route.filledStake)} USDC (unfilled: ${toNominalAmount(route.unfilledStake)} USDC)`);
+      console.log(`Average odds: ${formatOdds(route.averageOdds, oddsFormat)} (${formatImpliedOdds(route.averageOdds)})`);
+      if (fill) {
+        console.log('Fill result:', fill);
+      }
+    }
+  };
+}
+
+/**
+ * Fills orders as a taker
+ * @param {Object} values - Parsed options
+ * @param {Object} context - { oddsFormat }
+ * @returns {Promise<Object>} - { json, display, exitCode }
+ */
+async function runFill(values, { oddsFormat }) {
+  const required = values.order ? ['market', 'stake'] : ['market', 'outcome', 'stake', 'worst-odds'];
+  const missing = required.filter(name => values[name] === undefined);
+  if (missing.length > 0) {
+    throw new ArgumentError(`Missing ${missing.map(name => `--${name}`).join(', ')}`, missing[0]);
+  }
+
+  return values.order ? fillSingleOrder(values, oddsFormat) : sweepMarket(values, oddsFormat);
+}
+
+export const fillCommand = {
+  description: 'Fill orders as a taker: sweep the best prices or fill one order',
+  interactive: () => import('../fill-orders/index.js'),
+  options: {
+    market: { type: 'hash', placeholder: 'market hash', description: 'Market to bet on' },
+    outcome: { type: 'integer', min: 1, max: 2, description: 'Outcome to bet on (1 or 2), when sweeping' },
+    stake: { type: 'number', min: 0, placeholder: 'USDC', description: 'Total stake in USDC' },
+    'worst-odds': { type: 'string', placeholder: 'odds', description: 'Worst acceptable odds in the selected odds format, when sweeping' },
+    order: { type: 'hash', placeholder: 'order hash', description: 'Fill this order instead of sweeping' },
+    'dry-run': { type: 'flag', description: 'Show the planned fills without signing or sending them' }
+  },
+  examples: [
+    'sx fill --market 0x... --outcome 1 --stake 50 --worst-odds 1.9',
+    'sx fill --market 0x... --order 0x... --stake 10 --dry-run --json'
+  ],
+  run: runFill
+};
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// index.js - Entry point for the scriptable `sx` command line interface
+import dotenv from 'dotenv';
+import { parseCommandArgs, formatUsage } from '../common/cliArgs.js';
+import { getNetwork } from '../common/networks.js';
+import { normalizeOddsFormat } from '../common/oddsFormat.js';
+import { ArgumentError, OrderValidationError } from '../common/errors.js';
+import { EXIT_CODES, printJson, sendLogsToStderr } from './output.js';
+import { ordersCommand } from './ordersCommand.js';
+import { tradesCommand } from './tradesCommand.js';
+import { postCommand } from './postCommand.js';
+import { cancelCommand } from './cancelCommand.js';
+import { fillCommand } from './fillCommand.js';
+import { sportsCommand } from './sportsCommand.js';
+import { watchCommand } from './watchCommand.js';
+import { arbCommand } from './arbCommand.js';
+
+dotenv.config();
+
+// Subcommands by name
+const COMMANDS = {
+  orders: ordersCommand,
+  trades: tradesCommand,
+  post: postCommand,
+  cancel: cancelCommand,
+  fill: fillCommand,
+  sports: sportsCommand,
+  watch: watchCommand,
+  arb: arbCommand
+};
+
+// Options accepted by every subcommand
+const GLOBAL_OPTIONS = {
+  json: { type: 'flag', description: 'Print machine-readable JSON on stdout (logs go to stderr)' },
+  network: { type: 'string', placeholder: 'SXR|SXN|testnet', description: 'Network profile to use (or set SX_NETWORK)' },
+  'odds-format': { type: 'string', placeholder: 'format', description: 'implied, decimal, american, fractional or hongkong (or set SX_ODDS_FORMAT)' }
+};
+
+// Added for subcommands that have an interactive flow
+const INTERACTIVE_OPTION = {
+  interactive: { type: 'flag', description: 'Run the interactive prompt-based flow instead' }
+};
+
+/**
+ * Builds the top-level help text
+ * @returns {string} - Usage text
+ */
+function formatMainUsage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return [
+    'Usage: sx <command> [options]',
+    '',
+    'Scriptable access to the SX Bet API.',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.description}`),
+    '',
+    'Run "sx <command> --help" for a command\'s options.',
+    '',
+    'Exit codes:',
+    `  ${EXIT_CODES.OK}  success`,
+    `  ${EXIT_CODES.ERROR}  unexpected error (network, API or signing)`,
+    `  ${EXIT_CODES.USAGE}  missing, unknown or invalid arguments`,
+    `  ${EXIT_CODES.VALIDATION}  order failed pre-flight validation; nothing was sent`,
+    `  ${EXIT_CODES.INCOMPLETE}  only partly done (orders rejected or stake left unfilled)`
+  ].join('\n');
+}
+
+/**
+ * Maps an error to an exit code
+ * @param {Error} error - Error
+ * @returns {number} - Exit code
+ */
+function getExitCode(error) {
+  if (error instanceof ArgumentError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof OrderValidationError) {
+    return EXIT_CODES.VALIDATION;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Parses the command line, runs the subcommand and prints its result
+ * @param {string[]} argv - Arguments after "sx"
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    console.log(formatMainUsage());
+    return EXIT_CODES.OK;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new ArgumentError(`Unknown command "${name}". Commands: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+
+  const options = { ...command.options, ...(command.interactive ? INTERACTIVE_OPTION : {}), ...GLOBAL_OPTIONS };
+  const { values } = parseCommandArgs(options, args);
+
+  if (values.help) {
+    console.log(formatUsage({ command: `sx ${name}`, description: command.description, options, examples: command.examples }));
+    return EXIT_CODES.OK;
+  }
+
+  // Starts the prompt-based flow (given the parsed options); it keeps the process alive until the user exits
+  if (values.interactive) {
+    await command.interactive(values);
+    return EXIT_CODES.OK;
+  }
+
+  if (values.json) {
+    sendLogsToStderr();
+  }
+
+  let oddsFormat;
+  try {
+    oddsFormat = normalizeOddsFormat(values['odds-format'] || process.env.SX_ODDS_FORMAT || 'decimal');
+  } catch (error) {
+    throw new ArgumentError(error.message, 'odds-format');
+  }
+  if (values.network) {
+    try {
+      getNetwork(values.network);
+    } catch (error) {
+      throw new ArgumentError(error.message, 'network');
+    }
+  }
+
+  const result = await command.run(values, { oddsFormat, json: Boolean(values.json) });
+
+  if (values.json) {
+    if (result.json !== undefined) {
+      printJson(result.json);
+    }
+  } else if (result.display) {
+    result.display();
+  }
+  return result.exitCode !== undefined ? result.exitCode : EXIT_CODES.OK;
+}
+
+const argv = process.argv.slice(2);
+
+main(argv)
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    const exitCode = getExitCode(error);
+
+    if (argv.includes('--json')) {
+      printJson({ error: { name: error.name, message: error.message, code: error.code } });
+    }
+    if (exitCode === EXIT_CODES.USAGE) {
+      console.error(`${error.message}\nRun with --help to see the available options.`);
+    } else {
+      console.error('Error:', error.message);
+    }
+    process.exitCode = exitCode;
+  });
@@ -0,0 +1,73 @@
+// ordersCommand.js - `sx orders`: active orders for markets or a maker, from the taker's perspective
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { ArgumentError } from '../common/errors.js';
+import { formatOrderForTaker } from '../fetch-orders/utils.js';
+import { fetchMarketLookup } from '../common/marketTypes.js';
+
+/**
+ * Fetches active orders and formats them for a taker, best odds first
+ * @param {Object} values - Parsed options
+ * @param {Object} context - { oddsFormat }
+ * @returns {Promise<Object>} - { json, display }
+ */
+async function runOrders(values, { oddsFormat }) {
+  if (!values.market && !values.maker) {
+    throw new ArgumentError('--market or --maker is required', 'market');
+  }
+
+  const params = {};
+  if (values.market) {
+    params.marketHashes = values.market;
+  }
+  if (values.maker) {
+    params.maker = values.maker;
+  }
+
+  const fetched = await getDefaultClient().getOrders(params);
+  const markets = await fetchMarketLookup(fetched.map(order => order.marketHash));
+
+  const orders = fetched
+    .map(order => ({
+      ...formatOrderForTaker(order, oddsFormat, markets.get(order.marketHash)),
+      marketHash: order.marketHash,
+      maker: order.maker,
+      createdAt: order.createdAt
+    }))
+    .filter(order => values.outcome === undefined || order.outcome === values.outcome)
+    .sort((a, b) => a.marketHash.localeCompare(b.marketHash) || a.outcome - b.outcome || a.impliedOdds - b.impliedOdds);
+
+  return {
+    json: orders,
+    display: () => {
+      if (orders.length === 0) {
+        console.log('No active orders found.');
+        return;
+      }
+
+      console.log('Market (first 10 chars) | Outcome | Order Hash (first 10 chars) | Implied | Odds | Available (USDC)');
+      console.log('----------------------- | ------- | --------------------------- | ------- | ---- | ----------------');
+      orders.forEach(order => {
+        console.log(
+          `${order.marketHash.substring(0, 10)}... | ${order.outcome}: ${order.outcomeLabel} | ${order.orderHash.substring(0, 10)}... | ` +
+          `${order.impliedOddsFormatted} | ${order.displayOdds} | ${order.availableBetSize}`
+        );
+      });
+      console.log(`\nTotal orders: ${orders.length}`);
+    }
+  };
+}
+
+export const ordersCommand = {
+  description: 'List active orders from the taker\'s perspective',
+  interactive: () => import('../fetch-orders/index.js'),
+  options: {
+    market: { type: 'hash', multiple: true, placeholder: 'market hash', description: 'Markets to list orders for' },
+    maker: { type: 'address', description: 'Only orders from this maker' },
+    outcome: { type: 'integer', min: 1, max: 2, description: 'Only liquidity for this taker outcome (1 or 2)' }
+  },
+  examples: [
+    'sx orders --market 0x... --outcome 1',
+    'sx orders --maker 0x5aC843EecBf67669d4003aa49aE5e0136dc73365 --json'
+  ],
+  run: runOrders
+};
@@ -0,0 +1,49 @@
+// output.js - Exit codes and JSON output shared by the sx subcommands
+
+// Process exit codes returned by every subcommand
+export const EXIT_CODES = {
+  OK: 0,
+  // Unexpected failure (network, API or signing error)
+  ERROR: 1,
+  // Missing, unknown or invalid arguments
+  USAGE: 2,
+  // An order failed pre-flight validation; nothing was sent
+  VALIDATION: 3,
+  // The command ran but only partly succeeded (rejected orders, unfilled stake)
+  INCOMPLETE: 4
+};
+
+/**
+ * JSON.stringify replacer that writes BigInts as strings
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} - JSON-safe value
+ */
+function replaceBigInt(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Writes a value to stdout as indented JSON
+ * @param {*} value - Value to write
+ */
+export function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, replaceBigInt, 2)}\n`);
+}
+
+/**
+ * Writes a value to stdout as a single JSON line (for streaming output)
+ * @param {*} value - Value to write
+ */
+export function printJsonLine(value) {
+  process.stdout.write(`${JSON.stringify(value, replaceBigInt)}\n`);
+}
+
+/**
+ * Sends console.log/console.info to stderr so stdout only carries JSON.
+ * The shared modules log progress with console.log.
+ */
+export function sendLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+}
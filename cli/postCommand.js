@@ -0,0 +1,213 @@
+// postCommand.js - `sx post`: post one maker order from flags, or a batch from a JSON file
+import fs from 'fs';
+import { ArgumentError } from '../common/errors.js';
+import { parseOdds } from '../common/oddsFormat.js';
+import { toImpliedOdds } from '../common/odds.js';
+import { postOrders, MAX_ORDERS_PER_REQUEST } from '../post-order/orderPoster.js';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { getAccount } from '../common/signer.js';
+import { startHeartbeat, stopHeartbeat } from '../post-order/heartbeat.js';
+import { loadValidationContext, validateOrderSpec } from '../post-order/orderValidator.js';
+import { EXIT_CODES } from './output.js';
+
+/**
+ * Converts command line or file values into an order spec for postOrders
+ * @param {Object} entry - { market, outcome, size, odds, expiry }
+ * @param {string} oddsFormat - Format the odds are given in
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {Object} - Order spec
+ */
+function toOrderSpec(entry, oddsFormat, source) {
+  const missing = ['market', 'outcome', 'size', 'odds'].filter(key => entry[key] === undefined);
+  if (missing.length > 0) {
+    throw new ArgumentError(`${source} is missing ${missing.map(key => `--${key}`).join(', ')}`, missing[0]);
+  }
+  const outcome = Number(entry.outcome);
+  if (outcome !== 1 && outcome !== 2) {
+    throw new ArgumentError(`${source}: outcome must be 1 or 2`, 'outcome');
+  }
+
+  let percentageOdds;
+  try {
+    percentageOdds = parseOdds(entry.odds, oddsFormat, { ladder: true });
+  } catch (error) {
+    throw new ArgumentError(`${source}: invalid odds "${entry.odds}": ${error.message}`, 'odds');
+  }
+
+  const spec = {
+    marketHash: entry.market,
+    isMakerBettingOutcomeOne: outcome === 1,
+    betSize: Number(entry.size),
+    impliedOdds: toImpliedOdds(percentageOdds)
+  };
+  // Flags are already Unix seconds; files may also use ISO dates
+  if (entry.expiry !== undefined) {
+    spec.apiExpiry = typeof entry.expiry === 'number' ? entry.expiry : Math.floor(new Date(entry.expiry).getTime() / 1000);
+  }
+  return spec;
+}
+
+/**
+ * Reads order entries from a JSON file holding an array of { market, outcome, size, odds, expiry }
+ * @param {string} file - File path
+ * @returns {Object[]} - Entries
+ */
+function readOrderFile(file) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ArgumentError(`Could not read orders from ${file}: ${error.message}`, 'file');
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ArgumentError(`${file} must contain a non-empty JSON array of orders`, 'file');
+  }
+  return entries;
+}
+
+/**
+ * Validates order specs without signing or posting them
+ * @param {Object[]} specs - Order specs
+ * @returns {Promise<Object[]>} - { spec, status: 'valid' } or { spec, status: 'invalid', reason, code }
+ */
+async function validateOrders(specs) {
+  const context = await loadValidationContext(specs.map(spec => spec.marketHash));
+  return specs.map(spec => {
+    try {
+      validateOrderSpec(spec, context);
+      return { spec, status: 'valid' };
+    } catch (error) {
+      return { spec, status: 'invalid', reason: error.message, code: error.code };
+    }
+  });
+}
+
+/**
+ * Picks the exit code for a set of post results
+ * @param {Object[]} results - Results from postOrders or validateOrders
+ * @returns {number} - OK, VALIDATION when every order failed validation, otherwise INCOMPLETE on any failure
+ */
+function getExitCode(results) {
+  const failed = results.filter(result => ['rejected', 'invalid', 'unknown'].includes(result.status));
+  if (failed.length === 0) {
+    return EXIT_CODES.OK;
+  }
+  return failed.length === results.length && failed.every(result => result.code)
+    ? EXIT_CODES.VALIDATION
+    : EXIT_CODES.INCOMPLETE;
+}
+
+/**
+ * Registers a heartbeat, posts the orders and keeps renewing it while any order was posted.
+ * The process then stays alive until SIGINT/SIGTERM, which cancels all of the account's orders.
+ * @param {Object[]} specs - Order specs
+ * @param {number} timeoutSeconds - Heartbeat timeout registered with the exchange
+ * @param {Object} options - Options for postOrders
+ * @returns {Promise<Object[]>} - Results from postOrders
+ */
+async function postWithHeartbeat(specs, timeoutSeconds, options) {
+  await startHeartbeat({ timeoutSeconds });
+
+  let results;
+  try {
+    results = await postOrders(specs, getDefaultClient(), options);
+  } catch (error) {
+    stopHeartbeat();
+    throw error;
+  }
+
+  // Orders with an unknown outcome may be live, so they keep the heartbeat running too
+  if (results.some(result => result.status === 'posted' || result.status === 'unknown')) {
+    console.log('Heartbeat is keeping the orders alive; press Ctrl+C to cancel all orders and exit');
+  } else {
+    stopHeartbeat();
+  }
+  return results;
+}
+
+/**
+ * Posts (or with --dry-run, validates) maker orders
+ * @param {Object} values - Parsed options
+ * @param {Object} context - { oddsFormat }
+ * @returns {Promise<Object>} - { json, display, exitCode }
+ */
+async function runPost(values, { oddsFormat }) {
+  let specs;
+  if (values.file) {
+    specs = readOrderFile(values.file).map((entry, index) => toOrderSpec(entry, oddsFormat, `Order ${index + 1} in ${values.file}`));
+  } else {
+    specs = [toOrderSpec(values, oddsFormat, 'The order')];
+  }
+
+  const postOptions = { batchSize: values['batch-size'] };
+  let results;
+  if (values['dry-run']) {
+    results = await validateOrders(specs);
+  } else if (values.heartbeat !== undefined) {
+    results = await postWithHeartbeat(specs, values.heartbeat, postOptions);
+  } else {
+    results = await postOrders(specs, getDefaultClient(), postOptions);
+  }
+  
+  const unknown = results.filter(result => result.status === 'unknown');
+  if (unknown.length > 0) {
+    console.error(
+      `${unknown.length} order(s) hit a server or network error and may have been posted anyway. ` +
+      `Check your open orders (sx orders --maker ${getAccount().address}) before retrying, to avoid duplicates.`
+    );
+  }
+  const rows = results.map(result => ({
+    marketHash: result.spec.marketHash,
+    outcome: result.spec.isMakerBettingOutcomeOne ? 1 : 2,
+    size: result.spec.betSize,
+    impliedOdds: result.spec.impliedOdds,
+    apiExpiry: result.spec.apiExpiry,
+    status: result.status,
+    orderHash: result.orderHash,
+    reason: result.reason,
+    code: result.code
+  }));
+
+  return {
+    json: rows,
+    exitCode: getExitCode(results),
+    display: () => {
+      console.log('# | Market (first 10 chars) | Outcome | Size (USDC) | Implied | Status | Order Hash / Reason');
+      console.log('- | ----------------------- | ------- | ----------- | ------- | ------ | -------------------');
+      rows.forEach((row, index) => {
+        console.log(
+          `${index + 1} | ${row.marketHash.substring(0, 10)}... | ${row.outcome} | ${row.size} | ` +
+          `${(row.impliedOdds * 100).toFixed(2)}% | ${row.status} | ${row.reason || row.orderHash || '-'}`
+        );
+      });
+    }
+  };
+}
+
+export const postCommand = {
+  description: 'Post maker orders (odds are rounded to the odds ladder)',
+  interactive: () => import('../post-order/index.js'),
+  options: {
+    market: { type: 'hash', placeholder: 'market hash', description: 'Market to post on' },
+    outcome: { type: 'integer', min: 1, max: 2, description: 'Outcome the maker backs (1 or 2)' },
+    size: { type: 'number', min: 0, placeholder: 'USDC', description: 'Order size in USDC' },
+    odds: { type: 'string', description: 'Maker odds in the selected odds format' },
+    expiry: { type: 'date', description: 'API expiry (ISO or Unix seconds; default: one hour from now)' },
+    file: { type: 'string', placeholder: 'path', description: 'JSON array of orders: { market, outcome, size, odds, expiry }' },
+    'dry-run': { type: 'flag', description: 'Validate the orders without signing or posting them' },
+    'batch-size': { type: 'integer', min: 1, default: MAX_ORDERS_PER_REQUEST, description: 'Orders sent per request' },
+    heartbeat: {
+      type: 'integer',
+      min: 1,
+      placeholder: 'seconds',
+      description: 'Keep running and renew a heartbeat with this timeout; all of the account\'s orders are cancelled when sx stops'
+    }
+  },
+  examples: [
+    'sx post --market 0x... --outcome 1 --size 10 --odds 0.55 --odds-format implied',
+    'sx post --file orders.json --json',
+    'sx post --market 0x... --outcome 2 --size 25 --odds 2.1 --dry-run',
+    'sx post --file orders.json --heartbeat 30'
+  ],
+  run: runPost
+};
@@ -0,0 +1,120 @@
+// sportsCommand.js - `sx sports`: browse sports, leagues, fixtures and markets
+import { getDefaultClient } from '../common/sxBetClient.js';
+import {
+  BROWSER_OPTIONS,
+  getBrowserFilters,
+  fetchMarketsForEvent,
+  filterFixtures,
+  filterMarkets,
+  groupMarketsByType,
+  sortFixturesChronologically,
+  describeFixtureWindow,
+  main as browseSports
+} from '../fetchSports.js';
+
+// --network is a global sx option
+const { network, ...browserOptions } = BROWSER_OPTIONS;
+
+/**
+ * Prints rows as an ID | label list
+ * @param {Array} rows - Rows to print
+ * @param {string} idKey - Property holding the ID
+ * @param {string} title - Heading
+ */
+function displayIdList(rows, idKey, title) {
+  console.log(`\n===== ${title} =====\n`);
+  if (rows.length === 0) {
+    console.log('None found.');
+    return;
+  }
+
+  const maxIdLength = Math.max(...rows.map(row => String(row[idKey]).length));
+  rows.forEach(row => {
+    console.log(`ID: ${String(row[idKey]).padEnd(maxIdLength)} | ${row.label}`);
+  });
+  console.log(`\nTotal: ${rows.length}`);
+}
+
+/**
+ * Lists sports, a sport's leagues, a league's fixtures in a window or an event's markets
+ * @param {Object} values - Parsed options
+ * @returns {Promise<Object>} - { json, display }
+ */
+async function runSports(values) {
+  const client = getDefaultClient();
+  const filters = getBrowserFilters(values);
+
+  if (values.event) {
+    const fetched = await fetchMarketsForEvent(values.event, client, { throwOnError: true, onlyMainLine: filters.onlyMainLine });
+    const groups = groupMarketsByType(filterMarkets(fetched, filters));
+    const markets = groups.flatMap(group => group.markets);
+    return {
+      json: markets,
+      display: () => {
+        console.log(`\n===== ACTIVE ${filters.onlyMainLine ? 'MAINLINE ' : ''}MARKETS FOR EVENT ID: ${values.event} =====\n`);
+        if (markets.length === 0) {
+          console.log('None found.');
+          return;
+        }
+        console.log('Market Hash | Type | Outcome One | Outcome Two | Line | Main | Live');
+        console.log('----------- | ---- | ----------- | ----------- | ---- | ---- | ----');
+        markets.forEach(market => {
+          console.log(
+            `${market.marketHash} | ${market.type} | ${market.outcomeOneName} | ${market.outcomeTwoName} | ` +
+            `${market.line !== undefined ? market.line : '-'} | ${market.mainLine ? 'Yes' : 'No'} | ${market.liveEnabled ? 'Yes' : 'No'}`
+          );
+        });
+      }
+    };
+  }
+
+  if (values.league !== undefined) {
+    const fixtures = sortFixturesChronologically(filterFixtures(await client.getActiveFixtures(values.league), filters));
+
+    return {
+      json: fixtures,
+      display: () => {
+        console.log(`\n===== FIXTURES FOR LEAGUE ${values.league} (${describeFixtureWindow(filters)}) =====\n`);
+        if (fixtures.length === 0) {
+          console.log('None found.');
+          return;
+        }
+        console.log('Event ID | Start Time | Fixture | Status');
+        console.log('-------- | ---------- | ------- | ------');
+        fixtures.forEach(fixture => {
+          console.log(
+            `${fixture.eventId} | ${new Date(fixture.startDate).toLocaleString()} | ` +
+            `${fixture.participantOneName} vs ${fixture.participantTwoName} | ${fixture.status}`
+          );
+        });
+      }
+    };
+  }
+
+  if (values.sport !== undefined) {
+    const leagues = await client.getActiveLeagues(values.sport);
+    return { json: leagues, display: () => displayIdList(leagues, 'leagueId', `ACTIVE LEAGUES FOR SPORT ${values.sport}`) };
+  }
+
+  const sports = await client.getSports();
+  return { json: sports, display: () => displayIdList(sports, 'sportId', 'AVAILABLE SPORTS') };
+}
+
+export const sportsCommand = {
+  description: 'List sports, a sport\'s active leagues, a league\'s fixtures or an event\'s markets',
+  interactive: (values) => browseSports(getBrowserFilters(values)),
+  options: {
+    sport: { type: 'integer', placeholder: 'sport ID', description: 'List this sport\'s active leagues' },
+    league: { type: 'integer', placeholder: 'league ID', description: 'List this league\'s fixtures in the window' },
+    event: { type: 'string', placeholder: 'event ID', description: 'List this event\'s active markets' },
+    ...browserOptions
+  },
+  examples: [
+    'sx sports',
+    'sx sports --sport 5',
+    'sx sports --league 1236 --hours 24 --json',
+    'sx sports --league 1236 --from 2025-04-02 --hours 168 --status not-started',
+    'sx sports --event L13772588 --all-lines'
+  ],
+  run: runSports
+};
@@ -0,0 +1,37 @@
+// tradesCommand.js - `sx trades`: the fetch-trades command without its own output and network flags
+import {
+  TRADE_OPTIONS,
+  runTradesCommand,
+  tradesResultToJson,
+  displayTradesResult
+} from '../fetch-trades/tradeCommand.js';
+
+// --json, --network and --odds-format are global sx options
+const { output, network, 'odds-format': oddsFormatOption, ...options } = TRADE_OPTIONS;
+
+/**
+ * Lists, exports or reports on trades
+ * @param {Object} values - Parsed options
+ * @param {Object} context - { oddsFormat, json }
+ * @returns {Promise<Object>} - { json, display }
+ */
+async function runTrades(values, { oddsFormat, json }) {
+  const result = await runTradesCommand({ ...values, output: json ? 'json' : 'table' });
+
+  return {
+    json: tradesResultToJson(result),
+    display: () => displayTradesResult(result, oddsFormat)
+  };
+}
+
+export const tradesCommand = {
+  description: 'Fetch, export and report on trades',
+  options,
+  examples: [
+    'sx trades --bettor 0x5aC843EecBf67669d4003aa49aE5e0136dc73365 --hours 24 --records 5',
+    'sx trades --bettor 0x5aC843EecBf67669d4003aa49aE5e0136dc73365 --report pnl --json',
+    'sx trades --report market --market 0x... --interval 15m',
+    'sx trades --market 0x... --export trades.csv'
+  ],
+  run: runTrades
+};
@@ -0,0 +1,139 @@
+// watchCommand.js - `sx watch`: stream order book changes and maker events until stopped
+import { ArgumentError } from '../common/errors.js';
+import { formatOdds } from '../common/oddsFormat.js';
+import { formatFixed, formatImpliedOdds, toNominalAmount, ODDS_DECIMALS } from '../common/odds.js';
+import { subscribeToOrderBook, subscribeToMakerEvents, closeConnection } from '../websocket/websocket.js';
+import { configureRecorder, DEFAULT_RECORDING_DIR } from '../websocket/recorder.js';
+import { fetchMarketLookup, getOutcomeLabel } from '../common/marketTypes.js';
+import { printJsonLine } from './output.js';
+
+/**
+ * Summarises the best price level of each outcome of an order book
+ * @param {OrderBook} orderBook - Order book
+ * @returns {Object} - { type, marketHash, orders, best: { 1, 2 } } with levels as JSON-safe values
+ */
+function summariseOrderBook(orderBook) {
+  const best = {};
+  for (const outcome of [1, 2]) {
+    const level = orderBook.getBestOdds(outcome);
+    best[outcome] = level && {
+      takerOdds: formatFixed(level.takerOdds, ODDS_DECIMALS),
+      takerSpace: toNominalAmount(level.takerSpace),
+      orderCount: level.orderCount
+    };
+  }
+  return { type: 'order_book', marketHash: orderBook.marketHash, orders: orderBook.getOrders().length, best };
+}
+
+/**
+ * Formats one outcome's best level for a text line
+ * @param {OrderBook} orderBook - Order book
+ * @param {number} outcome - Taker outcome
+ * @param {string} oddsFormat - Odds format
+ * @param {Object} market - The book's market, for the outcome label (optional)
+ * @returns {string} - e.g. "Lakers -3.5: 1.92 (52.00%) x 150.00 USDC"
+ */
+function formatBestLevel(orderBook, outcome, oddsFormat, market) {
+  const label = getOutcomeLabel(market, outcome);
+  const level = orderBook.getBestOdds(outcome);
+  if (!level) {
+    return `${label}: no liquidity`;
+  }
+  return `${label}: ${formatOdds(level.takerOdds, oddsFormat)} (${formatImpliedOdds(level.takerOdds)}) x ${toNominalAmount(level.takerSpace, 6, 2)} USDC`;
+}
+
+/**
+ * Resolves once the process receives SIGINT or the duration elapses
+ * @param {number} duration - Seconds to run (undefined: until SIGINT)
+ * @returns {Promise<void>}
+ */
+function waitForStop(duration) {
+  return new Promise(resolve => {
+    const timer = duration !== undefined ? setTimeout(stop, duration * 1000) : null;
+    function stop() {
+      clearTimeout(timer);
+      process.off('SIGINT', stop);
+      resolve();
+    }
+    process.once('SIGINT', stop);
+  });
+}
+
+/**
+ * Streams updates. Text mode prints one line per update; --json prints one JSON object per line.
+ * @param {Object} values - Parsed options
+ * @param {Object} context - { oddsFormat, json }
+ * @returns {Promise<Object>} - {} (everything is printed while streaming)
+ */
+async function runWatch(values, { oddsFormat, json }) {
+  if (!values.market && !values.maker && !values.events) {
+    throw new ArgumentError('Pass --market, --maker or --events', 'market');
+  }
+
+  if (values.record) {
+    configureRecorder({ enabled: true });
+    console.error(`Recording channel traffic to ${DEFAULT_RECORDING_DIR}`);
+  }
+
+  // Text lines label outcomes from the market, e.g. "Over 210.5"
+  const markets = json ? new Map() : await fetchMarketLookup(values.market || []);
+
+  const onUpdate = (orderBook) => {
+    const receivedAt = new Date().toISOString();
+    if (json) {
+      printJsonLine({ receivedAt, ...summariseOrderBook(orderBook) });
+    } else {
+      console.log(
+        `[${receivedAt}] ${orderBook.marketHash.substring(0, 10)}... | ` +
+        `${formatBestLevel(orderBook, 1, oddsFormat, markets.get(orderBook.marketHash))} | ` +
+        `${formatBestLevel(orderBook, 2, oddsFormat, markets.get(orderBook.marketHash))}`
+      );
+    }
+  };
+
+  try {
+    for (const marketHash of values.market || []) {
+      if (!(await subscribeToOrderBook(marketHash, { onUpdate }))) {
+        throw new Error(`Could not subscribe to the order book for ${marketHash}`);
+      }
+    }
+
+    if (values.maker || values.events) {
+      const tracker = await subscribeToMakerEvents(values.maker);
+      tracker.on('event', event => {
+        const receivedAt = new Date().toISOString();
+        if (json) {
+          printJsonLine({ receivedAt, ...event });
+        } else {
+          console.log(`[${receivedAt}] ${event.type} | order ${event.orderHash} | market ${event.marketHash}`);
+        }
+      });
+    }
+
+    console.error(`Watching${values.duration !== undefined ? ` for ${values.duration}s` : ''}; press Ctrl+C to stop`);
+    await waitForStop(values.duration);
+  } finally {
+    await closeConnection();
+  }
+
+  return {};
+}
+
+export const watchCommand = {
+  description: 'Stream order book changes and maker events',
+  interactive: () => import('../websocket/index.js'),
+  options: {
+    market: { type: 'hash', multiple: true, placeholder: 'market hash', description: 'Order books to watch' },
+    maker: { type: 'address', description: 'Watch order and trade events for this maker' },
+    events: { type: 'flag', description: 'Watch your own order and trade events (the PRIVATE_KEY account; must match SX_ACCOUNT_ADDRESS if set)' },
+    duration: { type: 'number', min: 0, placeholder: 'seconds', description: 'Stop after this many seconds (default: until Ctrl+C)' },
+    record: { type: 'flag', description: 'Record channel traffic as JSONL for replay (websocket/recordings)' }
+  },
+  examples: [
+    'sx watch --market 0x...,0x...',
+    'sx watch --events --json > events.jsonl',
+    'sx watch --market 0x... --duration 60 --json',
+    'sx watch --market 0x... --record'
+  ],
+  run: runWatch
+};
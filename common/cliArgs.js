@@ -0,0 +1,180 @@
+// cliArgs.js - Declarative command line options with validation and generated usage text
+import { parseArgs } from 'util';
+import { ArgumentError } from './errors.js';
+
+/**
+ * Option types:
+ * - string:  any value
+ * - integer: whole number (min/max optional)
+ * - number:  decimal number (min/max optional)
+ * - boolean: true/false (also yes/no, 1/0)
+ * - flag:    present or absent, takes no value
+ * - date:    ISO date/time or Unix seconds, returned as Unix seconds
+ * - enum:    one of `choices`
+ * - address: 0x-prefixed 20-byte hex address
+ * - hash:    0x-prefixed 32-byte hex hash
+ *
+ * Options with `multiple: true` may be repeated or comma-separated and return an array.
+ */
+const VALIDATORS = {
+  string: value => value,
+  integer: (value, spec) => checkRange(Number(value), value, spec, Number.isInteger),
+  number: (value, spec) => checkRange(Number(value), value, spec, Number.isFinite),
+  boolean: (value) => {
+    const normalized = value.toLowerCase();
+    if (['true', 'yes', '1'].includes(normalized)) {
+      return true;
+    }
+    if (['false', 'no', '0'].includes(normalized)) {
+      return false;
+    }
+    throw new Error('must be true or false');
+  },
+  date: (value) => {
+    const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(new Date(value).getTime() / 1000);
+    if (!Number.isFinite(seconds)) {
+      throw new Error('must be an ISO date (2025-04-01 or 2025-04-01T19:30:00Z) or Unix seconds');
+    }
+    return seconds;
+  },
+  enum: (value, spec) => {
+    const normalized = value.toLowerCase();
+    if (!spec.choices.includes(normalized)) {
+      throw new Error(`must be one of: ${spec.choices.join(', ')}`);
+    }
+    return normalized;
+  },
+  address: (value) => {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+      throw new Error('must be a 0x-prefixed address');
+    }
+    return value;
+  },
+  hash: (value) => {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(value)) {
+      throw new Error('must be a 0x-prefixed 32-byte hash');
+    }
+    return value;
+  }
+};
+
+/**
+ * Checks a parsed number against a spec's min/max
+ * @param {number} number - Parsed value
+ * @param {string} raw - Raw value
+ * @param {Object} spec - Option spec
+ * @param {Function} isValid - Type check (e.g. Number.isInteger)
+ * @returns {number} - Parsed value
+ */
+function checkRange(number, raw, spec, isValid) {
+  if (raw.trim() === '' || !isValid(number)) {
+    throw new Error(spec.type === 'integer' ? 'must be a whole number' : 'must be a number');
+  }
+  if (spec.min !== undefined && number < spec.min) {
+    throw new Error(`must be at least ${spec.min}`);
+  }
+  if (spec.max !== undefined && number > spec.max) {
+    throw new Error(`must be at most ${spec.max}`);
+  }
+  return number;
+}
+
+/**
+ * Parses and validates command line arguments against option specs
+ * @param {Object} specs - Option specs keyed by option name:
+ *   { type, description, multiple, choices, min, max, default, placeholder, short }
+ * @param {string[]} argv - Arguments (default: process.argv without node and the script)
+ * @param {Object} options - Options
+ * @param {boolean} options.allowPositionals - Accept positional arguments (default: false)
+ * @returns {{ values: Object, positionals: string[] }} - Parsed values (help is true when --help was given)
+ */
+export function parseCommandArgs(specs, argv = process.argv.slice(2), { allowPositionals = false } = {}) {
+  const parseOptions = { help: { type: 'boolean', short: 'h' } };
+  for (const [name, spec] of Object.entries(specs)) {
+    parseOptions[name] = {
+      type: spec.type === 'flag' ? 'boolean' : 'string',
+      multiple: Boolean(spec.multiple),
+      ...(spec.short ? { short: spec.short } : {})
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: parseOptions, strict: true, allowPositionals });
+  } catch (error) {
+    throw new ArgumentError(error.message.split('\n')[0]);
+  }
+
+  const values = { help: Boolean(parsed.values.help) };
+  for (const [name, spec] of Object.entries(specs)) {
+    const raw = parsed.values[name];
+
+    if (raw === undefined) {
+      if (spec.default !== undefined) {
+        values[name] = spec.default;
+      }
+      continue;
+    }
+    if (spec.type === 'flag') {
+      values[name] = raw;
+      continue;
+    }
+
+    const validate = VALIDATORS[spec.type || 'string'];
+    const items = spec.multiple ? raw.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean) : [raw];
+    const converted = items.map(item => {
+      try {
+        return validate(item, spec);
+      } catch (error) {
+        throw new ArgumentError(`Invalid value "${item}" for --${name}: ${error.message}`, name);
+      }
+    });
+    values[name] = spec.multiple ? converted : converted[0];
+  }
+
+  return { values, positionals: parsed.positionals };
+}
+
+/**
+ * Generates usage text from option specs
+ * @param {Object} usage - Usage details
+ * @param {string} usage.command - Command line prefix (e.g. "node index.js")
+ * @param {string} usage.description - One-line description
+ * @param {Object} usage.options - Option specs, as passed to parseCommandArgs
+ * @param {string[]} usage.examples - Example command lines
+ * @returns {string} - Usage text
+ */
+export function formatUsage({ command, description, options, examples = [] }) {
+  const rows = Object.entries(options).map(([name, spec]) => {
+    let placeholder = '';
+    if (spec.type !== 'flag') {
+      placeholder = spec.type === 'enum' && !spec.placeholder ? ` <${spec.choices.join('|')}>` : ` <${spec.placeholder || spec.type || 'value'}>`;
+    }
+    const flag = `${spec.short ? `-${spec.short}, ` : ''}--${name}${placeholder}`;
+
+    const notes = [];
+    if (spec.multiple) {
+      notes.push('repeatable or comma-separated');
+    }
+    if (spec.default !== undefined) {
+      notes.push(`default: ${spec.default}`);
+    }
+    return [flag, `${spec.description || ''}${notes.length ? ` (${notes.join('; ')})` : ''}`];
+  });
+  rows.push(['-h, --help', 'Show this help']);
+
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  const lines = [
+    `Usage: ${command} [options]`,
+    '',
+    description,
+    '',
+    'Options:',
+    ...rows.map(([flag, text]) => `  ${flag.padEnd(width)}  ${text}`)
+  ];
+
+  if (examples.length > 0) {
+    lines.push('', 'Examples:', ...examples.map(example => `  ${example}`));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,109 @@
+// errors.js - Error types shared by the SX Bet modules
+
+/**
+ * Raised when the SX Bet API responds with an HTTP error or a non-success status
+ */
+export class SXBetApiError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} details - Request/response details
+   * @param {string} details.method - HTTP method of the failed request
+   * @param {string} details.path - API path of the failed request
+   * @param {number} details.status - HTTP status code
+   * @param {*} details.body - Parsed response body (if any)
+   */
+  constructor(message, { method, path, status, body } = {}) {
+    super(message);
+    this.name = 'SXBetApiError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Raised when the configured account address does not belong to the signing key
+ */
+export class AddressMismatchError extends Error {
+  /**
+   * @param {string} signerAddress - Address derived from the private key
+   * @param {string} configuredAddress - Address set explicitly in config
+   */
+  constructor(signerAddress, configuredAddress) {
+    super(`Configured address ${configuredAddress} does not match signer address ${signerAddress}`);
+    this.name = 'AddressMismatchError';
+    this.signerAddress = signerAddress;
+    this.configuredAddress = configuredAddress;
+  }
+}
+
+/**
+ * Base class for orders rejected by pre-flight validation (nothing is sent to the API)
+ */
+export class OrderValidationError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {string} code - Machine readable reason
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'OrderValidationError';
+    this.code = code;
+  }
+}
+
+/**
+ * Odds are outside (0, 1) or not on the exchange's odds ladder
+ */
+export class OddsLadderError extends OrderValidationError {
+  constructor(message) {
+    super(message, 'ODDS_NOT_ON_LADDER');
+    this.name = 'OddsLadderError';
+  }
+}
+
+/**
+ * Order size is below the exchange's minimum maker size
+ */
+export class MinimumSizeError extends OrderValidationError {
+  constructor(message) {
+    super(message, 'BELOW_MINIMUM_SIZE');
+    this.name = 'MinimumSizeError';
+  }
+}
+
+/**
+ * Market is unknown, not active or has already started
+ */
+export class MarketStateError extends OrderValidationError {
+  constructor(message) {
+    super(message, 'MARKET_NOT_OPEN');
+    this.name = 'MarketStateError';
+  }
+}
+
+/**
+ * apiExpiry is in the past or too far in the future
+ */
+export class ApiExpiryError extends OrderValidationError {
+  constructor(message) {
+    super(message, 'INVALID_API_EXPIRY');
+    this.name = 'ApiExpiryError';
+  }
+}
+
+/**
+ * Raised when command line arguments are missing, unknown or invalid
+ */
+export class ArgumentError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {string} option - Option that failed (if any)
+   */
+  constructor(message, option) {
+    super(message);
+    this.name = 'ArgumentError';
+    this.option = option;
+  }
+}
@@ -0,0 +1,177 @@
+// marketTypes.js - Market type registry: names, periods and what each outcome of a type means
+import { getDefaultClient } from './sxBetClient.js';
+
+// Market hashes per lookup request, to keep request URLs short
+const MARKET_REQUEST_HASHES = 20;
+
+/**
+ * How a market type's two outcomes are defined:
+ * - moneyline: outcome one is team one winning, outcome two is team two winning
+ * - spread:    outcome one is team one with the line as its handicap; outcome two is
+ *              team two with the opposite sign (line -3.5 means team one -3.5, team two +3.5)
+ * - total:     outcome one is over the line, outcome two is under it
+ * - other:     no fixed meaning; the market's own outcome names are used
+ */
+export const MARKET_KINDS = {
+  MONEYLINE: 'moneyline',
+  SPREAD: 'spread',
+  TOTAL: 'total',
+  OTHER: 'other'
+};
+
+// Part of the game a market type is settled on
+export const MARKET_PERIODS = {
+  FULL_GAME: 'full game',
+  FULL_GAME_OVERTIME: 'full game including overtime',
+  FIRST_HALF: 'first half',
+  FIRST_PERIOD: 'first period',
+  SECOND_PERIOD: 'second period',
+  THIRD_PERIOD: 'third period',
+  FOURTH_PERIOD: 'fourth period',
+  FIRST_FIVE_INNINGS: 'first five innings'
+};
+
+const { MONEYLINE, SPREAD, TOTAL, OTHER } = MARKET_KINDS;
+const {
+  FULL_GAME,
+  FULL_GAME_OVERTIME,
+  FIRST_HALF,
+  FIRST_PERIOD,
+  SECOND_PERIOD,
+  THIRD_PERIOD,
+  FOURTH_PERIOD,
+  FIRST_FIVE_INNINGS
+} = MARKET_PERIODS;
+
+// Known market types by type ID
+export const MARKET_TYPES = {
+  1: { name: '1X2', kind: OTHER, period: FULL_GAME },
+  2: { name: 'Under/Over', kind: TOTAL, period: FULL_GAME },
+  3: { name: 'Asian Handicap', kind: SPREAD, period: FULL_GAME },
+  21: { name: 'Under/Over First Period', kind: TOTAL, period: FIRST_PERIOD },
+  28: { name: 'Under/Over Including Overtime', kind: TOTAL, period: FULL_GAME_OVERTIME },
+  29: { name: 'Under/Over Rounds', kind: TOTAL, period: FULL_GAME },
+  45: { name: 'Under/Over Second Period', kind: TOTAL, period: SECOND_PERIOD },
+  46: { name: 'Under/Over Third Period', kind: TOTAL, period: THIRD_PERIOD },
+  52: { name: '12', kind: MONEYLINE, period: FULL_GAME },
+  53: { name: 'Asian Handicap Halftime', kind: SPREAD, period: FIRST_HALF },
+  63: { name: '12 Halftime', kind: MONEYLINE, period: FIRST_HALF },
+  64: { name: 'Asian Handicap First Period', kind: SPREAD, period: FIRST_PERIOD },
+  65: { name: 'Asian Handicap Second Period', kind: SPREAD, period: SECOND_PERIOD },
+  66: { name: 'Asian Handicap Third Period', kind: SPREAD, period: THIRD_PERIOD },
+  77: { name: 'Under/Over Halftime', kind: TOTAL, period: FIRST_HALF },
+  88: { name: 'To Qualify', kind: MONEYLINE, period: FULL_GAME },
+  165: { name: 'Set Total', kind: TOTAL, period: FULL_GAME },
+  166: { name: 'Under/Over Games', kind: TOTAL, period: FULL_GAME },
+  201: { name: 'Asian Handicap Games', kind: SPREAD, period: FULL_GAME },
+  202: { name: 'First Period Winner', kind: MONEYLINE, period: FIRST_PERIOD },
+  203: { name: 'Second Period Winner', kind: MONEYLINE, period: SECOND_PERIOD },
+  204: { name: 'Third Period Winner', kind: MONEYLINE, period: THIRD_PERIOD },
+  205: { name: 'Fourth Period Winner', kind: MONEYLINE, period: FOURTH_PERIOD },
+  226: { name: '12 Including Overtime', kind: MONEYLINE, period: FULL_GAME_OVERTIME },
+  236: { name: '1st 5 Innings Under/Over', kind: TOTAL, period: FIRST_FIVE_INNINGS },
+  274: { name: 'Outright Winner', kind: OTHER, period: FULL_GAME },
+  281: { name: '1st Five Innings Asian handicap', kind: SPREAD, period: FIRST_FIVE_INNINGS },
+  342: { name: 'Asian Handicap Including Overtime', kind: SPREAD, period: FULL_GAME_OVERTIME },
+  835: { name: 'Asian Under/Over', kind: TOTAL, period: FULL_GAME },
+  866: { name: 'Set Spread', kind: SPREAD, period: FULL_GAME },
+  1536: { name: 'Under/Over Maps', kind: TOTAL, period: FULL_GAME },
+  1618: { name: '1st 5 Innings Winner-12', kind: MONEYLINE, period: FIRST_FIVE_INNINGS }
+};
+
+/**
+ * Gets a market type's definition. Types missing from the registry are reported as
+ * kind "other" with no period, so their outcomes fall back to the market's outcome names.
+ * @param {number} typeId - Market type ID
+ * @returns {Object} - { typeId, name, kind, period, known }
+ */
+export function getMarketType(typeId) {
+  const type = MARKET_TYPES[typeId];
+  if (!type) {
+    return { typeId, name: `Type ${typeId}`, kind: OTHER, period: null, known: false };
+  }
+  return { typeId, ...type, known: true };
+}
+
+/**
+ * Gets the display name of a market type
+ * @param {number} typeId - Market type ID
+ * @returns {string} - e.g. "Asian Handicap", or "Type 999" for unregistered types
+ */
+export function getMarketTypeName(typeId) {
+  return getMarketType(typeId).name;
+}
+
+/**
+ * Formats a handicap with an explicit sign
+ * @param {number} line - Handicap
+ * @returns {string} - e.g. "-3.5", "+3.5" or "0"
+ */
+function formatHandicap(line) {
+  return line > 0 ? `+${line}` : String(line === 0 ? 0 : line);
+}
+
+/**
+ * Labels one outcome of a market from its type's semantics, e.g. "Lakers -3.5",
+ * "Over 210.5" or "Lakers". Falls back to the market's outcome name, then to "Outcome N".
+ * @param {Object} market - Market from the API (undefined when it could not be fetched)
+ * @param {number} outcome - Outcome (1 or 2)
+ * @returns {string} - Outcome label
+ */
+export function getOutcomeLabel(market, outcome) {
+  const fallback = `Outcome ${outcome}`;
+  if (!market) {
+    return fallback;
+  }
+
+  const isOne = outcome === 1;
+  const outcomeName = (isOne ? market.outcomeOneName : market.outcomeTwoName) || fallback;
+  const teamName = (isOne ? market.teamOneName : market.teamTwoName) || outcomeName;
+  const hasLine = market.line !== undefined && market.line !== null;
+
+  switch (getMarketType(market.type).kind) {
+    case MONEYLINE:
+      return teamName;
+    case SPREAD:
+      return hasLine ? `${teamName} ${formatHandicap(isOne ? market.line : -market.line)}` : outcomeName;
+    case TOTAL:
+      return hasLine ? `${isOne ? 'Over' : 'Under'} ${market.line}` : outcomeName;
+    default:
+      return outcomeName;
+  }
+}
+
+/**
+ * Fetches markets by hash, MARKET_REQUEST_HASHES per request
+ * @param {string[]} marketHashes - Market hashes (duplicates are fetched once)
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Map<string, Object>>} - Markets keyed by market hash
+ */
+export async function fetchMarketsByHash(marketHashes, client = getDefaultClient()) {
+  const uniqueHashes = [...new Set(marketHashes)];
+  const markets = [];
+  for (let index = 0; index < uniqueHashes.length; index += MARKET_REQUEST_HASHES) {
+    markets.push(...await client.getMarkets(uniqueHashes.slice(index, index + MARKET_REQUEST_HASHES)));
+  }
+  return new Map(markets.map(market => [market.marketHash, market]));
+}
+
+/**
+ * Fetches markets by hash for labelling outcomes. Labels are cosmetic, so a failed
+ * request is logged and an empty map returned (labels then read "Outcome N").
+ * @param {string[]} marketHashes - Market hashes
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Map<string, Object>>} - Markets keyed by market hash
+ */
+export async function fetchMarketLookup(marketHashes, client = getDefaultClient()) {
+  if (marketHashes.length === 0) {
+    return new Map();
+  }
+
+  try {
+    return await fetchMarketsByHash(marketHashes, client);
+  } catch (error) {
+    console.error('Could not fetch market details for outcome labels:', error.message);
+    return new Map();
+  }
+}
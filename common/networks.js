@@ -0,0 +1,116 @@
+// networks.js - Named network profiles (chain, contracts, API) for the SX Bet modules
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DEFAULT_NETWORK = 'SXR';
+
+/**
+ * Network profiles. Values left as null are not published for that network yet;
+ * check /metadata for the target chain and supply them via the env overrides below.
+ */
+export const NETWORKS = {
+  SXR: {
+    name: 'SXR',
+    apiUrl: 'https://api.sx.bet',
+    chainId: 4162,
+    chainVersion: 'SXR',
+    rpcUrl: 'https://rpc.sx-rollup.gelato.digital/',
+    baseToken: '0x6629Ce1Cf35Cc1329ebB4F63202F3f197b3F050B', // USDC
+    executor: '0x52adf738AAD93c31f798a30b2C74D658e1E9a562',
+    eip712FillHasher: '0x845a2Da2D70fEDe8474b1C8518200798c60aC364',
+    tokenTransferProxy: '0x38aef22152BC8965bf0af7Cf53586e4b0C4E9936',
+    domainVersion: '6.0'
+  },
+  SXN: {
+    name: 'SXN',
+    apiUrl: 'https://api.sx.bet',
+    chainId: 416,
+    chainVersion: 'SXN',
+    rpcUrl: 'https://rpc.sx.technology',
+    baseToken: '0xe2aa35C2039Bd0Ff196A6Ef99523CC0D3972ae3e', // USDC
+    executor: '0x52adf738AAD93c31f798a30b2C74D658e1E9a562',
+    eip712FillHasher: null,
+    tokenTransferProxy: null,
+    domainVersion: null
+  },
+  TESTNET: {
+    name: 'TESTNET',
+    apiUrl: 'https://api.toronto.sx.bet',
+    chainId: 79479957,
+    chainVersion: 'SXR',
+    rpcUrl: 'https://rpc.sx-rollup-testnet.t.raas.gelato.cloud',
+    baseToken: null,
+    executor: null,
+    eip712FillHasher: null,
+    tokenTransferProxy: null,
+    domainVersion: null
+  }
+};
+
+// Env variables that override individual profile values
+const ENV_OVERRIDES = {
+  apiUrl: 'SX_API_URL',
+  chainId: 'SX_CHAIN_ID',
+  rpcUrl: 'SX_RPC_URL',
+  baseToken: 'SX_BASE_TOKEN',
+  executor: 'SX_EXECUTOR',
+  eip712FillHasher: 'SX_EIP712_FILL_HASHER',
+  tokenTransferProxy: 'SX_TOKEN_TRANSFER_PROXY',
+  domainVersion: 'SX_DOMAIN_VERSION'
+};
+
+/**
+ * Determines the selected network name from the --network flag or SX_NETWORK env var
+ * @param {string[]} argv - Command line arguments (default: process.argv)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {string} - Network name (default: SXR)
+ */
+export function getNetworkName(argv = process.argv, env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network' && argv[i + 1]) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--network=')) {
+      return argv[i].substring('--network='.length);
+    }
+  }
+
+  return env.SX_NETWORK || DEFAULT_NETWORK;
+}
+
+/**
+ * Resolves a network profile, applying any env overrides
+ * @param {string} name - Network name, case-insensitive (default: selected network)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} - Network profile
+ */
+export function getNetwork(name = getNetworkName(), env = process.env) {
+  const profile = NETWORKS[name.toUpperCase()];
+  if (!profile) {
+    throw new Error(`Unknown network "${name}". Available networks: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  const network = { ...profile };
+  Object.entries(ENV_OVERRIDES).forEach(([key, envVar]) => {
+    if (env[envVar]) {
+      network[key] = key === 'chainId' ? Number(env[envVar]) : env[envVar];
+    }
+  });
+
+  return network;
+}
+
+/**
+ * Reads a value from a network profile, failing clearly when it is not configured
+ * @param {Object} network - Network profile
+ * @param {string} key - Profile key (e.g. executor)
+ * @returns {*} - Configured value
+ */
+export function requireNetworkValue(network, key) {
+  const value = network[key];
+  if (value === null || value === undefined) {
+    throw new Error(`Network ${network.name} has no ${key} configured; set ${ENV_OVERRIDES[key]} in .env`);
+  }
+  return value;
+}
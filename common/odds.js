@@ -0,0 +1,239 @@
+// odds.js - Exact BigInt math for SX Bet odds (20 decimals) and token amounts (6 decimals for USDC)
+//
+// Rounding rules:
+// - Amounts a user commits (stakes, fill amounts, taker space) round down, so we never
+//   ask for more than an order can absorb.
+// - Display values round half up at the requested number of decimals.
+// - Odds snap to the ladder with roundToLadder (nearest by default).
+
+export const ODDS_DECIMALS = 20;
+export const ODDS_PRECISION = 10n ** 20n;
+export const USDC_DECIMALS = 6;
+
+// Ladder step in hundredths of a percent (25 = 0.25%)
+export const ODDS_LADDER_STEP_SIZE = 25;
+
+/**
+ * Divides two non-negative BigInts, rounding half up
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator
+ * @returns {bigint} - Rounded quotient
+ */
+export function divRoundHalfUp(numerator, denominator) {
+  return (numerator * 2n + denominator) / (denominator * 2n);
+}
+
+/**
+ * Parses a decimal string/number into a fixed-point BigInt, truncating extra decimals
+ * @param {string|number} value - Decimal value (e.g. "10.5")
+ * @param {number} decimals - Number of decimals in the fixed-point result
+ * @returns {bigint} - Fixed-point value
+ */
+export function parseFixed(value, decimals) {
+  const str = typeof value === 'number' ? numberToPlainString(value) : String(value).trim();
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(str);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid numeric value: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const digits = BigInt((whole || '0') + fraction.padEnd(decimals, '0').substring(0, decimals));
+  return sign ? -digits : digits;
+}
+
+/**
+ * Formats a fixed-point BigInt as a decimal string, rounding half up
+ * @param {bigint|string} value - Fixed-point value
+ * @param {number} decimals - Number of decimals in the fixed-point value
+ * @param {number} displayDecimals - Decimals to show (default: all, trailing zeros trimmed)
+ * @returns {string} - Decimal string
+ */
+export function formatFixed(value, decimals, displayDecimals) {
+  let units = BigInt(value);
+  const negative = units < 0n;
+  if (negative) {
+    units = -units;
+  }
+
+  let shown = decimals;
+  if (displayDecimals !== undefined && displayDecimals < decimals) {
+    units = divRoundHalfUp(units, 10n ** BigInt(decimals - displayDecimals));
+    shown = displayDecimals;
+  }
+
+  const padded = units.toString().padStart(shown + 1, '0');
+  const whole = padded.substring(0, padded.length - shown);
+  let fraction = padded.substring(padded.length - shown);
+  if (displayDecimals === undefined) {
+    fraction = fraction.replace(/0+$/, '');
+  }
+
+  // Small negatives that round to zero print as "0.00", not "-0.00"
+  return `${negative && units !== 0n ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Writes a number without exponent notation (e.g. 1e-7 -> "0.0000001")
+ * @param {number} value - Number
+ * @returns {string} - Plain decimal string
+ */
+function numberToPlainString(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid numeric value: ${value}`);
+  }
+  const str = value.toString();
+  return /e/i.test(str) ? value.toFixed(20).replace(/0+$/, '').replace(/\.$/, '') : str;
+}
+
+/**
+ * Converts a nominal token amount to base units, truncating extra decimals
+ * @param {string|number} amount - Nominal amount (e.g. "10.5" USDC)
+ * @param {number} decimals - Token decimals (default: 6 for USDC)
+ * @returns {bigint} - Amount in base units
+ */
+export function parseAmount(amount, decimals = USDC_DECIMALS) {
+  return parseFixed(amount, decimals);
+}
+
+/**
+ * Converts a token amount from base units to a nominal decimal string
+ * @param {bigint|string} baseUnits - Amount in base units
+ * @param {number} decimals - Token decimals (default: 6 for USDC)
+ * @param {number} displayDecimals - Decimals to show (default: all)
+ * @returns {string} - Nominal amount
+ */
+export function toNominalAmount(baseUnits, decimals = USDC_DECIMALS, displayDecimals) {
+  return formatFixed(baseUnits, decimals, displayDecimals);
+}
+
+/**
+ * Converts readable implied odds to contract format
+ * @param {string|number} impliedOdds - Implied odds (e.g. 0.5)
+ * @returns {bigint} - Odds with 20 decimals
+ */
+export function parseImpliedOdds(impliedOdds) {
+  return parseFixed(impliedOdds, ODDS_DECIMALS);
+}
+
+/**
+ * Converts contract odds to readable implied odds (for display and comparisons only)
+ * @param {bigint|string} percentageOdds - Odds with 20 decimals
+ * @returns {number} - Implied odds (0-1)
+ */
+export function toImpliedOdds(percentageOdds) {
+  return Number(formatFixed(percentageOdds, ODDS_DECIMALS));
+}
+
+/**
+ * Calculates the taker's odds for a maker order (the complement of the maker's odds)
+ * @param {bigint|string} percentageOdds - Maker's odds with 20 decimals
+ * @returns {bigint} - Taker's odds with 20 decimals
+ */
+export function calculateTakerOdds(percentageOdds) {
+  return ODDS_PRECISION - BigInt(percentageOdds);
+}
+
+/**
+ * Formats contract odds as an implied percentage (e.g. "52.50%")
+ * @param {bigint|string} percentageOdds - Odds with 20 decimals
+ * @param {number} displayDecimals - Decimals to show (default: 2)
+ * @returns {string} - Implied percentage
+ */
+export function formatImpliedOdds(percentageOdds, displayDecimals = 2) {
+  return `${formatFixed(BigInt(percentageOdds) * 100n, ODDS_DECIMALS, displayDecimals)}%`;
+}
+
+/**
+ * Formats contract odds as decimal odds (e.g. "1.90")
+ * @param {bigint|string} percentageOdds - Odds with 20 decimals
+ * @param {number} displayDecimals - Decimals to show (default: 2)
+ * @returns {string} - Decimal odds
+ */
+export function formatDecimalOdds(percentageOdds, displayDecimals = 2) {
+  const scale = 10n ** BigInt(displayDecimals);
+  const decimal = divRoundHalfUp(ODDS_PRECISION * scale, BigInt(percentageOdds));
+  return formatFixed(decimal, displayDecimals, displayDecimals);
+}
+
+/**
+ * Converts implied odds to decimal odds
+ * @param {number} impliedOdds - Implied odds (0-1)
+ * @returns {number} - Decimal odds
+ */
+export function toDecimalOdds(impliedOdds) {
+  return 1 / impliedOdds;
+}
+
+/**
+ * Checks if odds fall on the odds ladder
+ * @param {bigint|string} percentageOdds - Odds with 20 decimals
+ * @param {number} ladderStepSize - Ladder step in hundredths of a percent (default: 25)
+ * @returns {boolean} - True if odds are on the ladder
+ */
+export function checkOddsLadderValid(percentageOdds, ladderStepSize = ODDS_LADDER_STEP_SIZE) {
+  const step = 10n ** 16n * BigInt(ladderStepSize);
+  return BigInt(percentageOdds) % step === 0n;
+}
+
+/**
+ * Snaps odds to the odds ladder
+ * @param {bigint|string} percentageOdds - Odds with 20 decimals
+ * @param {Object} options - Options
+ * @param {string} options.mode - 'nearest' (ties round up), 'down' or 'up' (default: nearest)
+ * @param {number} options.ladderStepSize - Ladder step in hundredths of a percent (default: 25)
+ * @returns {bigint} - Ladder odds with 20 decimals
+ */
+export function roundToLadder(percentageOdds, { mode = 'nearest', ladderStepSize = ODDS_LADDER_STEP_SIZE } = {}) {
+  const odds = BigInt(percentageOdds);
+  const step = 10n ** 16n * BigInt(ladderStepSize);
+  const remainder = odds % step;
+  const down = odds - remainder;
+
+  if (remainder === 0n || mode === 'down') {
+    return down;
+  }
+  if (mode === 'up' || remainder * 2n >= step) {
+    return down + step;
+  }
+  return down;
+}
+
+/**
+ * Calculates the taker stake an order can still absorb, accounting for partial fills.
+ * Rounds down.
+ * @param {Object} order - Order (totalBetSize, fillAmount, percentageOdds in base units)
+ * @returns {bigint} - Remaining taker space in base units
+ */
+export function calculateRemainingTakerSpace(order) {
+  const percentageOdds = BigInt(order.percentageOdds);
+  const remainingMakerAmount = BigInt(order.totalBetSize) - BigInt(order.fillAmount || 0);
+
+  if (remainingMakerAmount <= 0n || percentageOdds <= 0n) {
+    return 0n;
+  }
+
+  // remainingTakerSpace = remainingMakerAmount * (10^20 - percentageOdds) / percentageOdds
+  return (remainingMakerAmount * (ODDS_PRECISION - percentageOdds)) / percentageOdds;
+}
+
+/**
+ * Converts a taker stake into the fill amount from the maker's perspective. Rounds down.
+ * @param {bigint} takerStake - Taker stake in base units
+ * @param {bigint|string} percentageOdds - Maker's odds with 20 decimals
+ * @returns {bigint} - Fill amount in base units
+ */
+export function calculateFillAmount(takerStake, percentageOdds) {
+  const odds = BigInt(percentageOdds);
+  // fillAmount = takerStake * percentageOdds / (10^20 - percentageOdds)
+  return (BigInt(takerStake) * odds) / (ODDS_PRECISION - odds);
+}
+
+/**
+ * Computes the implied odds of a total stake against a total payout (e.g. average fill odds)
+ * @param {bigint} stake - Stake in base units
+ * @param {bigint} payout - Total payout (stake + winnings) in base units
+ * @returns {bigint|null} - Implied odds with 20 decimals, or null for an empty payout
+ */
+export function impliedOddsFromPayout(stake, payout) {
+  return payout > 0n ? divRoundHalfUp(BigInt(stake) * ODDS_PRECISION, BigInt(payout)) : null;
+}
@@ -0,0 +1,213 @@
+// oddsFormat.js - Conversions between contract odds and implied, decimal, American, fractional and Hong Kong formats
+import { ODDS_PRECISION, divRoundHalfUp, parseFixed, formatFixed, formatImpliedOdds, formatDecimalOdds, roundToLadder } from './odds.js';
+
+export const ODDS_FORMATS = ['implied', 'decimal', 'american', 'fractional', 'hongkong'];
+
+export const ODDS_FORMAT_LABELS = {
+  implied: 'Implied',
+  decimal: 'Decimal',
+  american: 'American',
+  fractional: 'Fractional',
+  hongkong: 'Hong Kong'
+};
+
+// Example input for each format, used in prompts
+export const ODDS_FORMAT_EXAMPLES = {
+  implied: '0.5 or 50%',
+  decimal: '2.00',
+  american: '+150 or -120',
+  fractional: '3/2',
+  hongkong: '1.50'
+};
+
+// Largest denominator used when approximating fractional odds
+const MAX_FRACTION_DENOMINATOR = 100n;
+
+/**
+ * Determines the selected odds format from the --odds-format flag or SX_ODDS_FORMAT env var
+ * @param {string} defaultFormat - Format to use when none is selected (default: decimal)
+ * @param {string[]} argv - Command line arguments (default: process.argv)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {string} - One of ODDS_FORMATS
+ */
+export function getOddsFormat(defaultFormat = 'decimal', argv = process.argv, env = process.env) {
+  let format = env.SX_ODDS_FORMAT || defaultFormat;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--odds-format' && argv[i + 1]) {
+      format = argv[i + 1];
+    } else if (argv[i].startsWith('--odds-format=')) {
+      format = argv[i].substring('--odds-format='.length);
+    }
+  }
+
+  return normalizeOddsFormat(format);
+}
+
+/**
+ * Validates and normalizes an odds format name (e.g. "HK" -> "hongkong")
+ * @param {string} format - Format name
+ * @returns {string} - One of ODDS_FORMATS
+ */
+export function normalizeOddsFormat(format) {
+  const normalized = String(format).toLowerCase().replace(/[\s_-]/g, '');
+  const aliases = { hk: 'hongkong', us: 'american', moneyline: 'american', eu: 'decimal', uk: 'fractional', percent: 'implied' };
+  const result = aliases[normalized] || normalized;
+
+  if (!ODDS_FORMATS.includes(result)) {
+    throw new Error(`Unknown odds format "${format}". Available formats: ${ODDS_FORMATS.join(', ')}`);
+  }
+  return result;
+}
+
+/**
+ * Greatest common divisor of two BigInts
+ * @param {bigint} a - First value
+ * @param {bigint} b - Second value
+ * @returns {bigint} - GCD
+ */
+function gcd(a, b) {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Parses odds entered in any format into contract odds (implied probability with 20 decimals)
+ * @param {string} input - Odds as typed by the user
+ * @param {string} format - One of ODDS_FORMATS
+ * @param {Object} options - Options
+ * @param {boolean} options.ladder - Snap the result to the odds ladder (default: false)
+ * @param {string} options.mode - Ladder rounding mode: nearest, down or up (default: nearest)
+ * @param {number} options.ladderStepSize - Ladder step in hundredths of a percent
+ * @returns {bigint} - Odds with 20 decimals, strictly between 0 and 1
+ */
+export function parseOdds(input, format, { ladder = false, mode, ladderStepSize } = {}) {
+  const text = String(input).trim();
+  let odds;
+
+  switch (normalizeOddsFormat(format)) {
+    case 'implied': {
+      // Accept 0.5 or 50%
+      odds = text.endsWith('%')
+        ? parseFixed(text.slice(0, -1), 20) / 100n
+        : parseFixed(text, 20);
+      break;
+    }
+    case 'decimal': {
+      // implied = 1 / decimal
+      const decimal = parseFixed(text, 20);
+      if (decimal <= ODDS_PRECISION) {
+        throw new Error(`Decimal odds must be greater than 1 (got ${text})`);
+      }
+      odds = divRoundHalfUp(ODDS_PRECISION * ODDS_PRECISION, decimal);
+      break;
+    }
+    case 'american': {
+      // +150 -> 100 / 250, -200 -> 200 / 300
+      const american = parseFixed(text.replace(/^\+/, ''), 20);
+      const hundred = 100n * ODDS_PRECISION;
+      if (american >= hundred) {
+        odds = divRoundHalfUp(hundred * ODDS_PRECISION, american + hundred);
+      } else if (american <= -hundred) {
+        odds = divRoundHalfUp(-american * ODDS_PRECISION, -american + hundred);
+      } else {
+        throw new Error(`American odds must be +100 or above, or -100 or below (got ${text})`);
+      }
+      break;
+    }
+    case 'fractional': {
+      // 3/2 -> 2 / (3 + 2)
+      const match = /^(\d+(?:\.\d+)?)\s*[/-]\s*(\d+(?:\.\d+)?)$/.exec(text);
+      if (!match) {
+        throw new Error(`Fractional odds must look like 3/2 (got ${text})`);
+      }
+      const numerator = parseFixed(match[1], 20);
+      const denominator = parseFixed(match[2], 20);
+      if (numerator <= 0n || denominator <= 0n) {
+        throw new Error(`Fractional odds must be positive (got ${text})`);
+      }
+      odds = divRoundHalfUp(denominator * ODDS_PRECISION, numerator + denominator);
+      break;
+    }
+    case 'hongkong': {
+      // implied = 1 / (1 + hk)
+      const hongKong = parseFixed(text, 20);
+      if (hongKong <= 0n) {
+        throw new Error(`Hong Kong odds must be greater than 0 (got ${text})`);
+      }
+      odds = divRoundHalfUp(ODDS_PRECISION * ODDS_PRECISION, hongKong + ODDS_PRECISION);
+      break;
+    }
+  }
+
+  if (ladder) {
+    odds = roundToLadder(odds, { mode, ladderStepSize });
+  }
+
+  if (odds <= 0n || odds >= ODDS_PRECISION) {
+    throw new Error(`Odds ${text} are outside the valid range`);
+  }
+  return odds;
+}
+
+/**
+ * Approximates a fraction with a bounded denominator (continued fractions)
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator
+ * @returns {[bigint, bigint]} - Approximated numerator and denominator
+ */
+function approximateFraction(numerator, denominator) {
+  let [h0, h1, k0, k1] = [0n, 1n, 1n, 0n];
+  let [n, d] = [numerator, denominator];
+
+  while (d !== 0n) {
+    const a = n / d;
+    const k2 = a * k1 + k0;
+    if (k2 > MAX_FRACTION_DENOMINATOR) {
+      break;
+    }
+    [h0, h1, k0, k1] = [h1, a * h1 + h0, k1, k2];
+    [n, d] = [d, n - a * d];
+  }
+
+  return [h1, k1];
+}
+
+/**
+ * Formats contract odds in the requested format
+ * @param {bigint|string} percentageOdds - Odds with 20 decimals
+ * @param {string} format - One of ODDS_FORMATS
+ * @returns {string} - Formatted odds (e.g. "52.50%", "1.90", "-111", "10/11", "0.90")
+ */
+export function formatOdds(percentageOdds, format) {
+  const odds = BigInt(percentageOdds);
+  if (odds <= 0n || odds >= ODDS_PRECISION) {
+    return 'N/A';
+  }
+  const against = ODDS_PRECISION - odds;
+
+  switch (normalizeOddsFormat(format)) {
+    case 'implied':
+      return formatImpliedOdds(odds);
+    case 'decimal':
+      return formatDecimalOdds(odds);
+    case 'american':
+      // Favourites (>= 50%) are negative, underdogs positive
+      return odds * 2n >= ODDS_PRECISION
+        ? `-${divRoundHalfUp(100n * odds, against)}`
+        : `+${divRoundHalfUp(100n * against, odds)}`;
+    case 'fractional': {
+      // Winnings per unit staked: (1 - p) / p, reduced or approximated
+      const divisor = gcd(against, odds);
+      let [numerator, denominator] = [against / divisor, odds / divisor];
+      if (denominator > MAX_FRACTION_DENOMINATOR) {
+        [numerator, denominator] = approximateFraction(against, odds);
+      }
+      return `${numerator}/${denominator}`;
+    }
+    case 'hongkong':
+      return formatFixed(divRoundHalfUp(against * 100n, odds), 2, 2);
+  }
+}
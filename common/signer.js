@@ -0,0 +1,36 @@
+// signer.js - Signing account shared by the order posting, cancelling and filling modules
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import { AddressMismatchError } from './errors.js';
+
+dotenv.config();
+
+/**
+ * Loads the signing wallet and the account address derived from it.
+ * If an address is configured explicitly (SX_ACCOUNT_ADDRESS) it must match the signer.
+ * @param {Object} options - Options
+ * @param {string} options.privateKey - Private key (default: PRIVATE_KEY)
+ * @param {string} options.address - Expected account address (default: SX_ACCOUNT_ADDRESS)
+ * @returns {{ wallet: ethers.Wallet, address: string }} - Wallet and checksummed address
+ */
+export function getAccount({
+  privateKey = process.env.PRIVATE_KEY,
+  address = process.env.SX_ACCOUNT_ADDRESS
+} = {}) {
+  if (!privateKey) {
+    throw new Error('PRIVATE_KEY not found in .env file');
+  }
+
+  const wallet = new ethers.Wallet(privateKey);
+
+  if (address) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Configured address ${address} is not a valid Ethereum address`);
+    }
+    if (ethers.getAddress(address) !== wallet.address) {
+      throw new AddressMismatchError(wallet.address, address);
+    }
+  }
+
+  return { wallet, address: wallet.address };
+}
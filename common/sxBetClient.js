@@ -0,0 +1,288 @@
+// sxBetClient.js - Unified client for the SX Bet REST API
+import { SXBetApiError } from './errors.js';
+import { getNetwork } from './networks.js';
+
+/**
+ * Thin wrapper around every SX Bet endpoint used by the scripts in this repo.
+ * Signing stays in the individual modules; the client only handles transport.
+ */
+export class SXBetClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string|Object} options.network - Network name or profile (default: --network / SX_NETWORK / SXR)
+   * @param {string} options.baseUrl - API base URL (default: the network's apiUrl)
+   * @param {string} options.chainVersion - Chain version, SXR or SXN (default: the network's chainVersion)
+   * @param {string} options.baseToken - Base token address (default: the network's baseToken)
+   * @param {string} options.apiKey - API key for authenticated endpoints (default: SX_BET_API_KEY)
+   * @param {Function} options.fetch - fetch implementation (default: global fetch)
+   */
+  constructor(options = {}) {
+    const profile = typeof options.network === 'object' ? options.network : getNetwork(options.network);
+
+    this.baseUrl = (options.baseUrl || profile.apiUrl).replace(/\/+$/, '');
+    this.chainVersion = options.chainVersion || profile.chainVersion;
+    this.baseToken = options.baseToken || profile.baseToken;
+    // Keep the profile in sync with explicit overrides so signing code sees one set of values
+    this.network = {
+      ...profile,
+      apiUrl: this.baseUrl,
+      chainVersion: this.chainVersion,
+      baseToken: this.baseToken
+    };
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.SX_BET_API_KEY;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Builds a full URL for an API path, skipping empty query values
+   * @param {string} path - API path (e.g. /orders)
+   * @param {Object} query - Query parameters; arrays are comma-joined
+   * @returns {string} - Full URL
+   */
+  buildUrl(path, query = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+
+    Object.entries(query).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+      url.searchParams.append(key, Array.isArray(value) ? value.join(',') : value);
+    });
+
+    return url.toString();
+  }
+
+  /**
+   * Sends a request to the API and unwraps the response
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} options - Request options
+   * @param {Object} options.query - Query parameters
+   * @param {Object} options.body - JSON body
+   * @param {Object} options.headers - Extra headers
+   * @param {boolean} options.raw - Return the body as-is instead of its `data` field
+   * @returns {Promise<*>} - The `data` field of the response (or the full body when raw)
+   */
+  async request(method, path, { query, body, headers, raw = false } = {}) {
+    const response = await this.fetch(this.buildUrl(path, query), {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let result;
+    try {
+      result = text ? JSON.parse(text) : null;
+    } catch {
+      result = text;
+    }
+
+    // Failure bodies usually carry a message or errorCode worth surfacing
+    const reason = result && (result.message || result.errorCode);
+    const suffix = reason ? `: ${reason}` : '';
+
+    if (!response.ok) {
+      throw new SXBetApiError(
+        `API Error: ${response.status} ${response.statusText} (${method} ${path})${suffix}`,
+        { method, path, status: response.status, body: result }
+      );
+    }
+
+    if (raw) {
+      return result;
+    }
+
+    if (!result || result.status !== 'success') {
+      throw new SXBetApiError(
+        `API returned non-success status: ${result && result.status} (${method} ${path})${suffix}`,
+        { method, path, status: response.status, body: result }
+      );
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Fetches active orders. Defaults the base token to the client's base token.
+   * @param {Object} params - Query parameters (marketHashes, maker, baseToken, ...)
+   * @returns {Promise<Array>} - Active orders
+   */
+  getOrders(params = {}) {
+    return this.request('GET', '/orders', {
+      query: { baseToken: this.baseToken, ...params }
+    });
+  }
+
+  /**
+   * Fetches a page of trades
+   * @param {Object} params - Query parameters (bettor, marketHashes, paginationKey, ...)
+   * @returns {Promise<Object>} - Page data ({ trades, nextKey, ... })
+   */
+  getTrades(params = {}) {
+    return this.request('GET', '/trades', { query: params });
+  }
+
+  /**
+   * Fetches all sports
+   * @returns {Promise<Array>} - Sports
+   */
+  getSports() {
+    return this.request('GET', '/sports');
+  }
+
+  /**
+   * Fetches active leagues for a sport
+   * @param {number} sportId - Sport ID
+   * @returns {Promise<Array>} - Active leagues
+   */
+  getActiveLeagues(sportId) {
+    return this.request('GET', '/leagues/active', { query: { sportId } });
+  }
+
+  /**
+   * Fetches active fixtures for a league
+   * @param {number} leagueId - League ID
+   * @returns {Promise<Array>} - Active fixtures
+   */
+  getActiveFixtures(leagueId) {
+    return this.request('GET', '/fixture/active', { query: { leagueId } });
+  }
+
+  /**
+   * Fetches active markets for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} options - Options
+   * @param {boolean} options.onlyMainLine - Only return main line markets (default: true)
+   * @returns {Promise<Array>} - Active markets
+   */
+  async getActiveMarkets(eventId, { onlyMainLine = true } = {}) {
+    const data = await this.request('GET', '/markets/active', {
+      query: { eventId, onlyMainLine }
+    });
+    return data.markets;
+  }
+
+  /**
+   * Fetches markets by hash (active or not)
+   * @param {string[]} marketHashes - Market hashes
+   * @returns {Promise<Array>} - Markets
+   */
+  getMarkets(marketHashes) {
+    return this.request('GET', '/markets/find', { query: { marketHashes } });
+  }
+
+  /**
+   * Fetches exchange metadata for the client's chain version
+   * @returns {Promise<Object>} - Metadata
+   */
+  getMetadata() {
+    return this.request('GET', '/metadata', {
+      query: { chainVersion: this.chainVersion }
+    });
+  }
+
+  /**
+   * Posts signed orders
+   * @param {Array} signedOrders - Orders including their maker signature
+   * @returns {Promise<Object>} - Response data ({ orders: [orderHash, ...] })
+   */
+  postOrders(signedOrders) {
+    return this.request('POST', '/orders/new', { body: { orders: signedOrders } });
+  }
+
+  /**
+   * Cancels orders by hash
+   * @param {Object} payload - Signed cancel payload ({ signature, orderHashes, salt, maker, timestamp })
+   * @returns {Promise<Object>} - Response data
+   */
+  cancelOrders(payload) {
+    return this.request('POST', '/orders/cancel/v2', {
+      query: { chainVersion: this.chainVersion },
+      body: payload
+    });
+  }
+
+  /**
+   * Cancels all of a maker's orders on an event
+   * @param {Object} payload - Signed cancel payload ({ signature, eventId, salt, maker, timestamp })
+   * @returns {Promise<Object>} - Response data
+   */
+  cancelEventOrders(payload) {
+    return this.request('POST', '/orders/cancel/event', {
+      query: { chainVersion: this.chainVersion },
+      body: payload
+    });
+  }
+
+  /**
+   * Cancels all of a maker's orders
+   * @param {Object} payload - Signed cancel payload ({ signature, salt, maker, timestamp })
+   * @returns {Promise<Object>} - Response data
+   */
+  cancelAllOrders(payload) {
+    return this.request('POST', '/orders/cancel/all', {
+      query: { chainVersion: this.chainVersion },
+      body: payload
+    });
+  }
+
+  /**
+   * Fills orders as a taker
+   * @param {Object} payload - Signed fill payload
+   * @returns {Promise<Object>} - Response data ({ fillHash, ... })
+   */
+  fillOrders(payload) {
+    return this.request('POST', '/orders/fill', { body: payload });
+  }
+
+  /**
+   * Registers or renews the account's heartbeat. If no renewal arrives within
+   * timeoutSeconds the exchange cancels all of the requestor's orders.
+   * @param {Object} payload - Heartbeat payload ({ requestor, timeoutSeconds })
+   * @returns {Promise<Object>} - Response data
+   */
+  postHeartbeat(payload) {
+    return this.request('POST', '/user/heartbeat', {
+      headers: { 'X-Api-Key': this.apiKey },
+      body: payload
+    });
+  }
+
+  /**
+   * Requests an Ably token for websocket authentication
+   * @returns {Promise<Object>} - Ably token request
+   */
+  getUserToken() {
+    return this.request('GET', '/user/token', {
+      headers: { 'X-Api-Key': this.apiKey },
+      raw: true
+    });
+  }
+}
+
+let defaultClient = null;
+
+/**
+ * Returns the shared client used by the scripts, creating it on first use
+ * @returns {SXBetClient} - Shared client
+ */
+export function getDefaultClient() {
+  if (!defaultClient) {
+    defaultClient = new SXBetClient();
+  }
+  return defaultClient;
+}
+
+/**
+ * Replaces the shared client (e.g. to point the scripts at a local server)
+ * @param {SXBetClient} client - Client to use
+ */
+export function setDefaultClient(client) {
+  defaultClient = client;
+}
+
+export { SXBetApiError };
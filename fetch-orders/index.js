@@ -2,6 +2,11 @@
 import readline from 'readline';
 import { fetchOrders, groupOrdersByOutcome } from './orderFetcher.js';
 import { formatOrderForTaker } from './utils.js';
+import { getOddsFormat, ODDS_FORMAT_LABELS } from '../common/oddsFormat.js';
+import { fetchMarketLookup, getOutcomeLabel } from '../common/marketTypes.js';
+
+// Odds format for the tables (--odds-format or SX_ODDS_FORMAT)
+const oddsFormat = getOddsFormat('decimal');
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -13,21 +18,24 @@ const rl = readline.createInterface({
  * Displays orders in a table format
  * @param {Array} orders - Array of formatted orders
  * @param {number} outcome - Outcome number (1 or 2)
+ * @param {string} outcomeLabel - What the outcome means, e.g. "Lakers -3.5"
  */
-function displayOrdersTable(orders, outcome) {
+function displayOrdersTable(orders, outcome, outcomeLabel) {
   if (!orders || orders.length === 0) {
-    console.log(`\nNo orders found for Outcome ${outcome}`);
+    console.log(`\nNo orders found for Outcome ${outcome} (${outcomeLabel})`);
     return;
   }
 
-  console.log(`\n============ OUTCOME ${outcome} ORDERS ============`);
-  console.log('Order Hash (first 10 chars) | Implied Odds | Decimal Odds | Available Size (USDC) | Created At');
-  console.log('---------------------------- | ------------ | ------------ | --------------------- | ----------');
+  const oddsHeader = `${ODDS_FORMAT_LABELS[oddsFormat]} Odds`;
+  
+  console.log(`\n============ OUTCOME ${outcome} ORDERS: ${outcomeLabel} ============`);
+  console.log(`Order Hash (first 10 chars) | Implied Odds | ${oddsHeader} | Available Size (USDC) | Created At`);
+  console.log(`---------------------------- | ------------ | ${'-'.repeat(oddsHeader.length)} | --------------------- | ----------`);
   
   orders.forEach(order => {
     const shortHash = order.orderHash.substring(0, 10) + '...';
     console.log(
-      `${shortHash} | ${order.impliedOddsFormatted} | ${order.decimalOdds} | ${order.availableBetSize} | ${order.createdAt}`
+      `${shortHash} | ${order.impliedOddsFormatted} | ${order.displayOdds} | ${order.availableBetSize} | ${order.createdAt}`
     );
   });
   console.log('');
@@ -59,15 +67,18 @@ async function main() {
       // Group and format orders by outcome
       const groupedOrders = groupOrdersByOutcome(orders);
       
+      // Market details turn outcome numbers into labels like "Lakers -3.5"
+      const market = (await fetchMarketLookup([marketHash])).get(marketHash);
+      
       // Format orders for display
       const formattedOrders = {};
       for (const outcome in groupedOrders) {
-        formattedOrders[outcome] = groupedOrders[outcome].map(formatOrderForTaker);
+        formattedOrders[outcome] = groupedOrders[outcome].map(order => formatOrderForTaker(order, oddsFormat, market));
       }
       
       // Display tables for each outcome
-      displayOrdersTable(formattedOrders[1], 1);
-      displayOrdersTable(formattedOrders[2], 2);
+      displayOrdersTable(formattedOrders[1], 1, getOutcomeLabel(market, 1));
+      displayOrdersTable(formattedOrders[2], 2, getOutcomeLabel(market, 2));
       
     } catch (error) {
       console.error('Error:', error.message);
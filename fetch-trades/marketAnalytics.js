@@ -0,0 +1,214 @@
+// marketAnalytics.js - Volume, VWAP, maker/taker split and time-bucketed activity for a market or event
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { fetchAllTrades } from './tradeFetcher.js';
+import { toNominalAmount, formatImpliedOdds, formatFixed, ODDS_DECIMALS } from '../common/odds.js';
+import { formatOdds } from '../common/oddsFormat.js';
+import { getOutcomeLabel } from '../common/marketTypes.js';
+
+// Seconds per unit for interval strings like "15m" or "1h"
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parses a bucket interval such as "15m", "1h" or "1d"
+ * @param {string} interval - Interval string
+ * @returns {number} - Interval in seconds
+ */
+export function parseInterval(interval) {
+  const match = /^(\d+)\s*([smhd])$/i.exec(String(interval).trim());
+  if (!match || parseInt(match[1], 10) === 0) {
+    throw new Error(`Invalid interval "${interval}". Use a number and unit, e.g. 15m, 1h or 1d`);
+  }
+  return parseInt(match[1], 10) * INTERVAL_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Creates an empty volume accumulator
+ * @returns {Object} - { trades, volume, weightedOdds }
+ */
+function createVolume() {
+  return { trades: 0, volume: 0n, weightedOdds: 0n };
+}
+
+/**
+ * Adds a trade to a volume accumulator
+ * @param {Object} accumulator - Accumulator from createVolume
+ * @param {bigint} stake - Stake in base units
+ * @param {bigint} odds - Implied odds with 20 decimals
+ */
+function addVolume(accumulator, stake, odds) {
+  accumulator.trades++;
+  accumulator.volume += stake;
+  accumulator.weightedOdds += stake * odds;
+}
+
+/**
+ * Computes a volume-weighted average of implied odds
+ * @param {Object} accumulator - Accumulator from createVolume
+ * @returns {bigint|null} - VWAP odds with 20 decimals, or null with no volume
+ */
+function getVwap(accumulator) {
+  return accumulator.volume > 0n ? accumulator.weightedOdds / accumulator.volume : null;
+}
+
+/**
+ * Builds trade analytics. Every fill appears twice in trade history (once for the
+ * maker, once for the taker), so volume counts both sides' stakes.
+ * @param {Array} trades - Trades for a market or event
+ * @param {Object} options - Options
+ * @param {number} options.intervalSeconds - Bucket size in seconds (default: 1 hour)
+ * @returns {Object} - { trades, volume, outcomes, makerVolume, takerVolume, bettors, buckets }.
+ *   Amounts are BigInts in base units and VWAPs have 20 decimals.
+ */
+export function buildMarketAnalytics(trades, { intervalSeconds = 3600 } = {}) {
+  const outcomes = { 1: createVolume(), 2: createVolume() };
+  const maker = createVolume();
+  const taker = createVolume();
+  const bettors = new Set();
+  const buckets = new Map();
+
+  for (const trade of trades) {
+    if (trade.tradeStatus === 'FAILED' || trade.valid === false) {
+      continue;
+    }
+
+    const stake = BigInt(trade.stake);
+    const odds = BigInt(trade.odds);
+    const outcome = trade.bettingOutcomeOne ? 1 : 2;
+
+    addVolume(outcomes[outcome], stake, odds);
+    addVolume(trade.maker ? maker : taker, stake, odds);
+    bettors.add(trade.bettor.toLowerCase());
+
+    const bucketStart = Math.floor(trade.betTime / intervalSeconds) * intervalSeconds;
+    if (!buckets.has(bucketStart)) {
+      buckets.set(bucketStart, { start: bucketStart, trades: 0, volume: 0n, outcomes: { 1: 0n, 2: 0n } });
+    }
+    const bucket = buckets.get(bucketStart);
+    bucket.trades++;
+    bucket.volume += stake;
+    bucket.outcomes[outcome] += stake;
+  }
+
+  return {
+    trades: outcomes[1].trades + outcomes[2].trades,
+    volume: outcomes[1].volume + outcomes[2].volume,
+    outcomes: [1, 2].map(outcome => ({
+      outcome,
+      trades: outcomes[outcome].trades,
+      volume: outcomes[outcome].volume,
+      vwap: getVwap(outcomes[outcome])
+    })),
+    makerVolume: maker.volume,
+    takerVolume: taker.volume,
+    bettors: bettors.size,
+    intervalSeconds,
+    buckets: [...buckets.values()].sort((a, b) => a.start - b.start)
+  };
+}
+
+/**
+ * Fetches every trade for one or more markets, or for all of an event's active markets, and builds analytics.
+ * The API only lists an event's markets while they are active, so finished events have to be
+ * analysed by market hash.
+ * @param {Object} params - Parameters
+ * @param {string|string[]} params.marketHashes - Market(s) to analyse
+ * @param {string} params.eventId - Event to analyse (instead of marketHashes)
+ * @param {number} params.startDate - Only include trades after this Unix time (seconds)
+ * @param {number} params.endDate - Only include trades before this Unix time (seconds)
+ * @param {number} params.intervalSeconds - Bucket size in seconds (default: 1 hour)
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Object>} - Analytics from buildMarketAnalytics plus marketHashes
+ */
+export async function fetchMarketAnalytics({ marketHashes, eventId, startDate, endDate, intervalSeconds }, client = getDefaultClient()) {
+  if (marketHashes && marketHashes.length > 0) {
+    marketHashes = [].concat(marketHashes);
+  } else if (eventId) {
+    const markets = await client.getActiveMarkets(eventId, { onlyMainLine: false });
+    marketHashes = markets.map(market => market.marketHash);
+  } else {
+    throw new Error('A market hash or event ID is required');
+  }
+
+  if (marketHashes.length === 0) {
+    throw new Error(
+      `No active markets found for event ${eventId}. Markets of finished events are no longer listed; ` +
+      'pass their hashes with --market instead'
+    );
+  }
+
+  const params = { marketHashes };
+  if (startDate) {
+    params.startDate = startDate;
+  }
+  if (endDate) {
+    params.endDate = endDate;
+  }
+
+  const trades = await fetchAllTrades(params, Infinity, client);
+  return { marketHashes, ...buildMarketAnalytics(trades, { intervalSeconds }) };
+}
+
+/**
+ * Converts analytics to plain JSON values (nominal USDC strings and implied odds)
+ * @param {Object} analytics - Analytics from buildMarketAnalytics
+ * @returns {Object} - JSON-safe analytics
+ */
+export function marketAnalyticsToJson(analytics) {
+  return {
+    ...analytics,
+    volume: toNominalAmount(analytics.volume),
+    outcomes: analytics.outcomes.map(outcome => ({
+      ...outcome,
+      volume: toNominalAmount(outcome.volume),
+      vwap: outcome.vwap === null ? null : formatFixed(outcome.vwap, ODDS_DECIMALS)
+    })),
+    makerVolume: toNominalAmount(analytics.makerVolume),
+    takerVolume: toNominalAmount(analytics.takerVolume),
+    buckets: analytics.buckets.map(bucket => ({
+      start: new Date(bucket.start * 1000).toISOString(),
+      trades: bucket.trades,
+      volume: toNominalAmount(bucket.volume),
+      outcomeOneVolume: toNominalAmount(bucket.outcomes[1]),
+      outcomeTwoVolume: toNominalAmount(bucket.outcomes[2])
+    }))
+  };
+}
+
+/**
+ * Prints analytics
+ * @param {Object} analytics - Analytics from buildMarketAnalytics
+ * @param {string} oddsFormat - Format for VWAP odds (default: decimal)
+ * @param {Map<string, Object>} markets - Market details by hash, for outcome labels (optional)
+ */
+export function displayMarketAnalytics(analytics, oddsFormat = 'decimal', markets = new Map()) {
+  const amount = value => toNominalAmount(value, 6, 2);
+
+  // Outcomes only have a meaning of their own when a single market is analysed
+  const market = analytics.marketHashes && analytics.marketHashes.length === 1 ? markets.get(analytics.marketHashes[0]) : undefined;
+  const label = outcome => getOutcomeLabel(market, outcome);
+
+  console.log('\n=========== MARKET ANALYTICS ===========');
+  console.log(`Trades:            ${analytics.trades}`);
+  console.log(`Total volume:      ${amount(analytics.volume)} USDC`);
+  console.log(`Maker volume:      ${amount(analytics.makerVolume)} USDC`);
+  console.log(`Taker volume:      ${amount(analytics.takerVolume)} USDC`);
+  console.log(`Distinct bettors:  ${analytics.bettors}`);
+
+  analytics.outcomes.forEach(outcome => {
+    const vwap = outcome.vwap === null
+      ? 'N/A'
+      : `${formatOdds(outcome.vwap, oddsFormat)} (${formatImpliedOdds(outcome.vwap)})`;
+    console.log(`${`${label(outcome.outcome)}:`.padEnd(19)}${amount(outcome.volume)} USDC over ${outcome.trades} trades | VWAP ${vwap}`);
+  });
+
+  console.log(`\nVolume per ${analytics.intervalSeconds / 60} minutes:`);
+  console.log(`Bucket Start | Trades | Volume | ${label(1)} | ${label(2)}`);
+  console.log(`------------ | ------ | ------ | ${'-'.repeat(label(1).length)} | ${'-'.repeat(label(2).length)}`);
+  analytics.buckets.forEach(bucket => {
+    console.log(
+      `${new Date(bucket.start * 1000).toLocaleString()} | ${bucket.trades} | ${amount(bucket.volume)} | ` +
+      `${amount(bucket.outcomes[1])} | ${amount(bucket.outcomes[2])}`
+    );
+  });
+  console.log('========================================\n');
+}
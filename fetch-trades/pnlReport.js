@@ -0,0 +1,242 @@
+// pnlReport.js - Bettor P&L and open-position report built from trade history
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { iterateTradePages } from './tradeFetcher.js';
+import {
+  ODDS_PRECISION,
+  ODDS_DECIMALS,
+  toNominalAmount,
+  formatImpliedOdds,
+  formatFixed,
+  impliedOddsFromPayout
+} from '../common/odds.js';
+import { formatOdds } from '../common/oddsFormat.js';
+import { getOutcomeLabel } from '../common/marketTypes.js';
+
+/**
+ * Fetches every successful trade for a bettor
+ * @param {string} bettor - Bettor address
+ * @param {Object} params - Extra trade filters (startDate, marketHashes, ...)
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Array>} - Trades
+ */
+export async function fetchBettorTrades(bettor, params = {}, client = getDefaultClient()) {
+  const trades = [];
+  for await (const page of iterateTradePages({ ...params, bettor, pageSize: 100 }, client)) {
+    trades.push(...page.trades);
+  }
+  return trades.filter(trade => trade.tradeStatus !== 'FAILED' && trade.valid !== false);
+}
+
+/**
+ * Gets the outcome a trade backs (1 or 2)
+ * @param {Object} trade - Trade
+ * @returns {number} - Outcome
+ */
+function getTradeOutcome(trade) {
+  return trade.bettingOutcomeOne ? 1 : 2;
+}
+
+/**
+ * Calculates what a trade pays if it wins (stake plus winnings). Rounds down.
+ * @param {Object} trade - Trade (stake in base units, odds with 20 decimals)
+ * @returns {bigint} - Payout in base units
+ */
+export function calculateTradePayout(trade) {
+  const odds = BigInt(trade.odds);
+  return odds > 0n ? (BigInt(trade.stake) * ODDS_PRECISION) / odds : 0n;
+}
+
+/**
+ * Calculates a settled trade's profit or loss. Outcome 0 is a void (stake returned).
+ * @param {Object} trade - Settled trade
+ * @returns {bigint} - P&L in base units
+ */
+function calculateSettledPnl(trade) {
+  if (!trade.outcome) {
+    return 0n;
+  }
+  return trade.outcome === getTradeOutcome(trade)
+    ? calculateTradePayout(trade) - BigInt(trade.stake)
+    : -BigInt(trade.stake);
+}
+
+/**
+ * Formats a ratio as a percentage with two decimals
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator
+ * @returns {string|null} - Percentage (e.g. "-12.50%"), or null when the denominator is 0
+ */
+function formatRatio(numerator, denominator) {
+  return denominator > 0n ? `${formatFixed((numerator * 10000n) / denominator, 2, 2)}%` : null;
+}
+
+/**
+ * Groups a bettor's trades into positions by market and outcome, with settled P&L
+ * and open exposure per fixture. Amounts are BigInts in base units and odds have 20 decimals.
+ * @param {Array} trades - Trades for one bettor
+ * @returns {Object} - { positions, exposure, totals }
+ */
+export function buildPnlReport(trades) {
+  const positions = new Map();
+  const exposure = new Map();
+  const totals = {
+    trades: 0,
+    stake: 0n,
+    settledStake: 0n,
+    pnl: 0n,
+    openStake: 0n,
+    openPayout: 0n
+  };
+
+  for (const trade of trades) {
+    const outcome = getTradeOutcome(trade);
+    const key = `${trade.marketHash}:${outcome}`;
+    const stake = BigInt(trade.stake);
+    const payout = calculateTradePayout(trade);
+
+    if (!positions.has(key)) {
+      positions.set(key, {
+        marketHash: trade.marketHash,
+        sportXeventId: trade.sportXeventId,
+        outcome,
+        trades: 0,
+        stake: 0n,
+        potentialPayout: 0n,
+        settledStake: 0n,
+        pnl: 0n,
+        openStake: 0n
+      });
+    }
+    const position = positions.get(key);
+    position.trades++;
+    position.stake += stake;
+    position.potentialPayout += payout;
+    totals.trades++;
+    totals.stake += stake;
+
+    if (trade.settled) {
+      const pnl = calculateSettledPnl(trade);
+      position.settledStake += stake;
+      position.pnl += pnl;
+      totals.settledStake += stake;
+      totals.pnl += pnl;
+    } else {
+      position.openStake += stake;
+      totals.openStake += stake;
+      totals.openPayout += payout;
+
+      const fixture = trade.sportXeventId || 'unknown';
+      if (!exposure.has(fixture)) {
+        exposure.set(fixture, { sportXeventId: fixture, markets: new Set(), stake: 0n, potentialPayout: 0n });
+      }
+      const fixtureExposure = exposure.get(fixture);
+      fixtureExposure.markets.add(trade.marketHash);
+      fixtureExposure.stake += stake;
+      fixtureExposure.potentialPayout += payout;
+    }
+  }
+
+  return {
+    positions: [...positions.values()].map(position => ({
+      ...position,
+      averageOdds: impliedOddsFromPayout(position.stake, position.potentialPayout),
+      settled: position.openStake === 0n
+    })),
+    exposure: [...exposure.values()]
+      .map(fixture => ({ ...fixture, markets: fixture.markets.size }))
+      .sort((a, b) => (a.stake > b.stake ? -1 : a.stake < b.stake ? 1 : 0)),
+    totals: {
+      ...totals,
+      roi: formatRatio(totals.pnl, totals.settledStake)
+    }
+  };
+}
+
+/**
+ * Converts a report to plain JSON values (nominal USDC strings and implied odds)
+ * @param {Object} report - Report from buildPnlReport
+ * @param {Map<string, Object>} markets - Market details by hash, for outcome labels (optional)
+ * @returns {Object} - JSON-safe report
+ */
+export function pnlReportToJson(report, markets = new Map()) {
+  const amount = value => toNominalAmount(value);
+  const odds = value => (value === null ? null : formatFixed(value, ODDS_DECIMALS));
+
+  return {
+    positions: report.positions.map(position => ({
+      marketHash: position.marketHash,
+      sportXeventId: position.sportXeventId,
+      outcome: position.outcome,
+      outcomeLabel: getOutcomeLabel(markets.get(position.marketHash), position.outcome),
+      trades: position.trades,
+      stake: amount(position.stake),
+      averageOdds: odds(position.averageOdds),
+      potentialPayout: amount(position.potentialPayout),
+      settled: position.settled,
+      settledStake: amount(position.settledStake),
+      pnl: amount(position.pnl),
+      openStake: amount(position.openStake)
+    })),
+    exposure: report.exposure.map(fixture => ({
+      sportXeventId: fixture.sportXeventId,
+      markets: fixture.markets,
+      stake: amount(fixture.stake),
+      potentialPayout: amount(fixture.potentialPayout)
+    })),
+    totals: {
+      trades: report.totals.trades,
+      stake: amount(report.totals.stake),
+      settledStake: amount(report.totals.settledStake),
+      pnl: amount(report.totals.pnl),
+      roi: report.totals.roi,
+      openStake: amount(report.totals.openStake),
+      openPayout: amount(report.totals.openPayout)
+    }
+  };
+}
+
+/**
+ * Prints a report as tables
+ * @param {Object} report - Report from buildPnlReport
+ * @param {string} oddsFormat - Format for average odds (default: decimal)
+ * @param {Map<string, Object>} markets - Market details by hash, for outcome labels (optional)
+ */
+export function displayPnlReport(report, oddsFormat = 'decimal', markets = new Map()) {
+  const amount = value => toNominalAmount(value, 6, 2);
+
+  console.log('\n================ POSITIONS ================');
+  console.log('Market (first 10 chars) | Outcome | Trades | Stake | Avg Odds | Potential Payout | Status | P&L');
+  console.log('----------------------- | ------- | ------ | ----- | -------- | ---------------- | ------ | ---');
+  report.positions.forEach(position => {
+    const averageOdds = position.averageOdds === null
+      ? 'N/A'
+      : `${formatOdds(position.averageOdds, oddsFormat)} (${formatImpliedOdds(position.averageOdds)})`;
+    const pnl = position.settledStake > 0n ? amount(position.pnl) : '-';
+    console.log(
+      `${position.marketHash.substring(0, 10)}... | ${getOutcomeLabel(markets.get(position.marketHash), position.outcome)} | ${position.trades} | ${amount(position.stake)} | ` +
+      `${averageOdds} | ${amount(position.potentialPayout)} | ${position.settled ? 'settled' : 'open'} | ${pnl}`
+    );
+  });
+
+  console.log('\n========= OPEN EXPOSURE BY FIXTURE =========');
+  if (report.exposure.length === 0) {
+    console.log('No open positions');
+  } else {
+    console.log('Fixture | Markets | Stake | Potential Payout');
+    console.log('------- | ------- | ----- | ----------------');
+    report.exposure.forEach(fixture => {
+      console.log(`${fixture.sportXeventId} | ${fixture.markets} | ${amount(fixture.stake)} | ${amount(fixture.potentialPayout)}`);
+    });
+  }
+
+  const { totals } = report;
+  console.log('\n=========== TOTALS ===========');
+  console.log(`Trades:         ${totals.trades}`);
+  console.log(`Total staked:   ${amount(totals.stake)} USDC`);
+  console.log(`Settled stake:  ${amount(totals.settledStake)} USDC`);
+  console.log(`Settled P&L:    ${amount(totals.pnl)} USDC`);
+  console.log(`ROI:            ${totals.roi || 'N/A'}`);
+  console.log(`Open stake:     ${amount(totals.openStake)} USDC`);
+  console.log(`Open payout:    ${amount(totals.openPayout)} USDC`);
+  console.log('==============================\n');
+}
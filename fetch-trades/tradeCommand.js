@@ -0,0 +1,244 @@
+// tradeCommand.js - Options and runner for the trades command (fetch-trades/index.js and `sx trades`)
+import { fetchAllTrades, getTimestampHoursAgo } from './tradeFetcher.js';
+import { exportTrades } from './tradeExporter.js';
+import { fetchBettorTrades, buildPnlReport, pnlReportToJson, displayPnlReport } from './pnlReport.js';
+import { fetchMarketAnalytics, marketAnalyticsToJson, displayMarketAnalytics, parseInterval } from './marketAnalytics.js';
+import { toNominalAmount, formatImpliedOdds } from '../common/odds.js';
+import { formatOdds } from '../common/oddsFormat.js';
+import { ArgumentError } from '../common/errors.js';
+import { fetchMarketLookup, getOutcomeLabel } from '../common/marketTypes.js';
+
+// Function to format trade data for display (market is used for the outcome label)
+function formatTrade(trade, oddsFormat, market) {
+  const betTime = new Date(trade.betTime * 1000).toLocaleString();
+  
+  return {
+    bettor: trade.bettor,
+    marketHash: trade.marketHash,
+    stake: toNominalAmount(trade.stake, 6, 2),
+    impliedOdds: formatImpliedOdds(trade.odds),
+    [`${oddsFormat}Odds`]: formatOdds(trade.odds, oddsFormat),
+    betTime,
+    maker: trade.maker,
+    settled: trade.settled,
+    bettingOutcomeOne: trade.bettingOutcomeOne,
+    outcome: getOutcomeLabel(market, trade.bettingOutcomeOne ? 1 : 2),
+    chainVersion: trade.chainVersion || 'N/A',
+    baseToken: trade.baseToken
+  };
+}
+
+// Command line options (also used to generate --help)
+export const TRADE_OPTIONS = {
+  bettor: { type: 'address', description: 'Filter by bettor address' },
+  market: { type: 'hash', multiple: true, placeholder: 'market hash', description: 'Filter by market hash' },
+  event: { type: 'string', placeholder: 'event ID', description: 'Event to analyse with --report market (active markets only; use --market for finished events)' },
+  chain: { type: 'enum', choices: ['sxr', 'sxn'], description: 'Filter by chain version' },
+  token: { type: 'address', description: 'Filter by base token contract address' },
+  start: { type: 'date', description: 'Only trades on or after this date/time (ISO or Unix seconds)' },
+  end: { type: 'date', description: 'Only trades on or before this date/time (ISO or Unix seconds)' },
+  hours: { type: 'number', min: 0, description: 'Only trades from the last X hours (overrides --start)' },
+  settled: { type: 'boolean', description: 'Only settled (true) or unsettled (false) trades' },
+  maker: { type: 'boolean', description: 'Only maker (true) or taker (false) trades' },
+  records: { type: 'integer', min: 1, default: 100, description: 'Maximum number of trades to display' },
+  sort: {
+    type: 'enum',
+    choices: ['desc', 'asc'],
+    default: 'desc',
+    description: 'Display order by bet time. The API returns the newest --records trades; asc lists those oldest first'
+  },
+  output: { type: 'enum', choices: ['table', 'json'], default: 'table', description: 'Output format for trades and reports' },
+  export: { type: 'string', placeholder: 'file', description: 'Export every matching trade to a file (no --records limit); rerun to resume' },
+  format: { type: 'enum', choices: ['csv', 'jsonl'], description: 'Export format (default: from the file extension, else csv)' },
+  report: { type: 'enum', choices: ['pnl', 'market'], description: 'pnl: P&L and open exposure for --bettor; market: volume, VWAP and activity for --market or --event' },
+  interval: { type: 'string', default: '1h', placeholder: '15m|1h|1d', description: 'Bucket size for --report market' },
+  network: { type: 'string', placeholder: 'SXR|SXN|testnet', description: 'Network profile to use (or set SX_NETWORK)' },
+  'odds-format': { type: 'string', placeholder: 'format', description: 'implied, decimal, american, fractional or hongkong (or set SX_ODDS_FORMAT)' }
+};
+
+export const TRADE_USAGE = {
+  command: 'node index.js',
+  description: 'Fetch, export and report on SX Bet trades.',
+  options: TRADE_OPTIONS,
+  examples: [
+    'node index.js --bettor 0x5aC843EecBf67669d4003aa49aE5e0136dc73365 --chain SXR --records 5 --hours 24',
+    'node index.js --market 0x...,0x... --start 2025-04-01 --end 2025-04-02 --settled true --records 1000 --sort asc',
+    'node index.js --bettor 0x5aC843EecBf67669d4003aa49aE5e0136dc73365 --export trades.csv',
+    'node index.js --bettor 0x5aC843EecBf67669d4003aa49aE5e0136dc73365 --report pnl --output json',
+    'node index.js --report market --market 0x... --interval 15m --hours 24'
+  ]
+};
+
+/**
+ * Converts parsed options into /trades query parameters
+ * @param {Object} options - Parsed options
+ * @returns {Object} - Query parameters
+ */
+export function buildTradeParams(options) {
+  const params = {};
+  
+  if (options.bettor) {
+    params.bettor = options.bettor;
+  }
+  if (options.market) {
+    params.marketHashes = options.market;
+  }
+  if (options.chain) {
+    params.chainVersion = options.chain.toUpperCase();
+  }
+  if (options.token) {
+    params.baseToken = options.token;
+  }
+  if (options.start !== undefined) {
+    params.startDate = options.start;
+  }
+  if (options.hours !== undefined) {
+    params.startDate = getTimestampHoursAgo(options.hours);
+  }
+  if (options.end !== undefined) {
+    params.endDate = options.end;
+  }
+  if (options.settled !== undefined) {
+    params.settled = options.settled;
+  }
+  if (options.maker !== undefined) {
+    params.maker = options.maker;
+  }
+  
+  if (params.startDate !== undefined && params.endDate !== undefined && params.startDate > params.endDate) {
+    throw new ArgumentError('--start must be before --end', 'start');
+  }
+  return params;
+}
+
+/**
+ * Runs the trades command: fetches trades, exports them or builds a report.
+ * Progress is logged unless options.output is json.
+ * @param {Object} options - Options parsed with TRADE_OPTIONS
+ * @returns {Promise<Object>} - Result for tradesResultToJson / displayTradesResult:
+ *   { kind: 'pnl', bettor, report, markets }, { kind: 'market', label, analytics, markets },
+ *   { kind: 'export', exported } or { kind: 'trades', trades, markets }.
+ *   markets maps market hashes to market details for outcome labels.
+ */
+export async function runTradesCommand(options) {
+  const params = buildTradeParams(options);
+  const quiet = options.output === 'json';
+  
+  // P&L report across the bettor's full history
+  if (options.report === 'pnl') {
+    if (!params.bettor) {
+      throw new ArgumentError('--report pnl requires --bettor', 'report');
+    }
+    const { bettor, ...filters } = params;
+    const report = buildPnlReport(await fetchBettorTrades(bettor, filters));
+    const markets = await fetchMarketLookup(report.positions.map(position => position.marketHash));
+    return { kind: 'pnl', bettor, report, markets };
+  }
+  
+  // Volume, VWAP and activity for markets or an event
+  if (options.report === 'market') {
+    if (!params.marketHashes && !options.event) {
+      throw new ArgumentError('--report market requires --market or --event', 'report');
+    }
+    
+    let intervalSeconds;
+    try {
+      intervalSeconds = parseInterval(options.interval);
+    } catch (error) {
+      throw new ArgumentError(error.message, 'interval');
+    }
+    
+    const analytics = await fetchMarketAnalytics({
+      marketHashes: params.marketHashes,
+      eventId: options.event,
+      startDate: params.startDate,
+      endDate: params.endDate,
+      intervalSeconds
+    });
+    const label = params.marketHashes ? `market(s) ${params.marketHashes.join(', ')}` : `event ${options.event}`;
+    const markets = await fetchMarketLookup(analytics.marketHashes.length === 1 ? analytics.marketHashes : []);
+    return { kind: 'market', label, analytics, markets };
+  }
+  
+  // Export the full history page by page instead of displaying it
+  if (options.export) {
+    if (!quiet) {
+      console.log('Exporting trades with parameters:', params);
+    }
+    const exported = await exportTrades(params, {
+      output: options.export,
+      format: options.format,
+      // --hours gives a different startDate on every run; a resumed export keeps the first one
+      relativeParams: options.hours !== undefined ? ['startDate'] : [],
+      onPage: quiet ? undefined : ({ exported, pages }) => console.log(`Page ${pages}: ${exported} trades written`)
+    });
+    return { kind: 'export', exported };
+  }
+  
+  if (!quiet) {
+    console.log('Fetching trades with parameters:', params);
+  }
+  
+  // The API pages newest first, so --sort only orders the newest --records trades for display
+  const trades = await fetchAllTrades(params, options.records);
+  const direction = options.sort === 'asc' ? 1 : -1;
+  const markets = await fetchMarketLookup(trades.map(trade => trade.marketHash));
+  return { kind: 'trades', trades: [...trades].sort((a, b) => direction * (a.betTime - b.betTime)), markets };
+}
+
+/**
+ * Converts a trades command result to plain JSON values
+ * @param {Object} result - Result from runTradesCommand
+ * @returns {*} - JSON-safe result
+ */
+export function tradesResultToJson(result) {
+  switch (result.kind) {
+    case 'pnl':
+      return pnlReportToJson(result.report, result.markets);
+    case 'market':
+      return marketAnalyticsToJson(result.analytics);
+    case 'export':
+      return result.exported;
+    default:
+      return result.trades;
+  }
+}
+
+/**
+ * Prints a trades command result
+ * @param {Object} result - Result from runTradesCommand
+ * @param {string} oddsFormat - Format for displayed odds (default: decimal)
+ */
+export function displayTradesResult(result, oddsFormat = 'decimal') {
+  switch (result.kind) {
+    case 'pnl':
+      console.log(`P&L report for ${result.bettor}`);
+      displayPnlReport(result.report, oddsFormat, result.markets);
+      return;
+    case 'market':
+      console.log(`Analytics for ${result.label}`);
+      displayMarketAnalytics(result.analytics, oddsFormat, result.markets);
+      return;
+    case 'export':
+      console.log(`\nExported ${result.exported.exported} trades to ${result.exported.output} (${result.exported.format})`);
+      return;
+  }
+  
+  if (result.trades.length === 0) {
+    console.log('No trades found matching the criteria.');
+    return;
+  }
+  
+  // Format and display trades
+  console.log(`\nRetrieved ${result.trades.length} trades:`);
+  console.log('--------------------------------------------------');
+  
+  result.trades.forEach((trade, index) => {
+    const formattedTrade = formatTrade(trade, oddsFormat, result.markets.get(trade.marketHash));
+    console.log(`Trade #${index + 1}:`);
+    Object.entries(formattedTrade).forEach(([key, value]) => {
+      console.log(`  ${key}: ${value}`);
+    });
+    console.log('--------------------------------------------------');
+  });
+}
@@ -0,0 +1,189 @@
+// tradeExporter.js - Streams a complete trade history to CSV or JSONL, resuming from a checkpoint
+import fs from 'fs';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { iterateTradePages } from './tradeFetcher.js';
+import { toNominalAmount, formatFixed, ODDS_DECIMALS } from '../common/odds.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+// CSV columns, in order. stakeNominal and impliedOdds are derived from stake and odds.
+export const TRADE_CSV_COLUMNS = [
+  'fillHash',
+  'orderHash',
+  'marketHash',
+  'sportXeventId',
+  'bettor',
+  'maker',
+  'bettingOutcomeOne',
+  'stake',
+  'stakeNominal',
+  'odds',
+  'impliedOdds',
+  'betTime',
+  'betTimeIso',
+  'settled',
+  'settleValue',
+  'outcome',
+  'tradeStatus',
+  'valid',
+  'baseToken',
+  'chainVersion'
+];
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a trade as a CSV row
+ * @param {Object} trade - Trade from the API
+ * @returns {string} - CSV line including the newline
+ */
+export function tradeToCsvRow(trade) {
+  const row = {
+    ...trade,
+    stakeNominal: trade.stake !== undefined ? toNominalAmount(trade.stake) : '',
+    impliedOdds: trade.odds !== undefined ? formatFixed(trade.odds, ODDS_DECIMALS) : '',
+    betTimeIso: trade.betTime ? new Date(trade.betTime * 1000).toISOString() : ''
+  };
+  return `${TRADE_CSV_COLUMNS.map(column => toCsvCell(row[column])).join(',')}\n`;
+}
+
+/**
+ * Reads a checkpoint file if there is one
+ * @param {string} checkpointPath - Checkpoint file path
+ * @returns {Object|null} - Checkpoint
+ */
+function readCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+}
+
+/**
+ * Writes a checkpoint atomically (write to a temp file, then rename)
+ * @param {string} checkpointPath - Checkpoint file path
+ * @param {Object} checkpoint - Checkpoint data
+ */
+function writeCheckpoint(checkpointPath, checkpoint) {
+  const tempPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempPath, checkpointPath);
+}
+
+/**
+ * Exports every trade matching the filters, writing each page as it arrives.
+ * After each page the pagination key and output size are saved to a checkpoint
+ * file, so an interrupted export resumes where it stopped. The checkpoint is
+ * removed once the export completes.
+ * @param {Object} params - Trade filters (bettor, marketHashes, startDate, ...)
+ * @param {Object} options - Options
+ * @param {string} options.output - Output file path
+ * @param {string} options.format - csv or jsonl (default: from the output extension, else csv)
+ * @param {string} options.checkpointPath - Checkpoint path (default: output + .checkpoint.json)
+ * @param {number} options.pageSize - Trades per request (default: 100)
+ * @param {Function} options.onPage - Called after each page with { exported, pages }
+ * @param {string[]} options.relativeParams - Params recomputed on every run (e.g. a startDate from --hours).
+ *   They are left out of the checkpoint's filter check and the first run's values are reused on resume.
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Object>} - { output, format, exported, pages, resumed }
+ */
+export async function exportTrades(params = {}, {
+  output,
+  format = output && output.endsWith('.jsonl') ? 'jsonl' : 'csv',
+  checkpointPath = `${output}.checkpoint.json`,
+  pageSize = 100,
+  onPage,
+  relativeParams = []
+} = {}, client = getDefaultClient()) {
+  if (!output) {
+    throw new Error('An output file is required');
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Available formats: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const query = { ...params, pageSize };
+  const fixedParams = { ...params };
+  const resolvedParams = {};
+  for (const key of relativeParams) {
+    delete fixedParams[key];
+    resolvedParams[key] = params[key];
+  }
+  const filters = JSON.stringify(fixedParams);
+  let checkpoint = readCheckpoint(checkpointPath);
+  const resumed = checkpoint !== null;
+
+  if (checkpoint) {
+    if (checkpoint.filters !== filters || checkpoint.format !== format) {
+      throw new Error(`Checkpoint ${checkpointPath} belongs to a different export; remove it to start over`);
+    }
+    // Continue with the values the export started with, so later pages match the first ones
+    Object.assign(query, checkpoint.resolvedParams);
+    if (!fs.existsSync(output)) {
+      throw new Error(`Checkpoint ${checkpointPath} found but ${output} is missing; remove the checkpoint to start over`);
+    }
+    // Drop anything written after the last checkpoint so no page is duplicated
+    fs.truncateSync(output, checkpoint.bytes);
+    if (checkpoint.pages > 0 && !checkpoint.paginationKey) {
+      fs.rmSync(checkpointPath, { force: true });
+      return { output, format, exported: checkpoint.exported, pages: checkpoint.pages, resumed };
+    }
+    query.paginationKey = checkpoint.paginationKey;
+    console.log(`Resuming export of ${output} after ${checkpoint.exported} trades`);
+  } else {
+    fs.writeFileSync(output, format === 'csv' ? `${TRADE_CSV_COLUMNS.join(',')}\n` : '');
+    checkpoint = {
+      filters,
+      resolvedParams,
+      format,
+      paginationKey: null,
+      exported: 0,
+      pages: 0,
+      bytes: fs.statSync(output).size
+    };
+    writeCheckpoint(checkpointPath, checkpoint);
+  }
+
+  try {
+    for await (const page of iterateTradePages(query, client)) {
+      const lines = page.trades
+        .map(trade => (format === 'csv' ? tradeToCsvRow(trade) : `${JSON.stringify(trade)}\n`))
+        .join('');
+
+      if (lines) {
+        fs.appendFileSync(output, lines);
+      }
+
+      checkpoint = {
+        ...checkpoint,
+        paginationKey: page.nextKey,
+        exported: checkpoint.exported + page.trades.length,
+        pages: checkpoint.pages + 1,
+        bytes: fs.statSync(output).size,
+        updatedAt: new Date().toISOString()
+      };
+      writeCheckpoint(checkpointPath, checkpoint);
+
+      if (onPage) {
+        onPage({ exported: checkpoint.exported, pages: checkpoint.pages });
+      }
+    }
+  } catch (error) {
+    console.error(`Export interrupted after ${checkpoint.exported} trades; run it again to resume:`, error.message);
+    throw error;
+  }
+
+  fs.rmSync(checkpointPath, { force: true });
+  return { output, format, exported: checkpoint.exported, pages: checkpoint.pages, resumed };
+}
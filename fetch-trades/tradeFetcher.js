@@ -1,84 +1,61 @@
 // tradeFetcher.js - Module for fetching trades from SX Bet API
 
+import { getDefaultClient } from '../common/sxBetClient.js';
+
 /**
  * Fetches trades from the SX Bet API based on provided parameters
  * @param {Object} params - Query parameters
- * @returns {Promise<Object>} - API response with trades data
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Object>} - Page of trades data ({ trades, nextKey, ... })
  */
-export async function fetchTrades(params = {}) {
+export async function fetchTrades(params = {}, client = getDefaultClient()) {
     try {
-      const baseUrl = 'https://api.sx.bet/trades';
-      const queryParams = new URLSearchParams();
-      
-      // Add provided parameters to query string
-      Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null && value !== '') {
-          // Handle arrays like marketHashes
-          if (Array.isArray(value)) {
-            queryParams.append(key, value.join(','));
-          } else {
-            queryParams.append(key, value);
-          }
-        }
-      });
-      
-      const queryString = queryParams.toString();
-      const url = queryString ? `${baseUrl}?${queryString}` : baseUrl;
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`API request failed with status ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (data.status !== 'success') {
-        throw new Error(`API returned non-success status: ${data.status}`);
-      }
-      
-      return data;
+      return await client.getTrades(params);
     } catch (error) {
       console.error('Error fetching trades:', error);
       throw error;
     }
   }
   
+  /**
+   * Iterates over pages of trades, starting from params.paginationKey when given
+   * @param {Object} params - Query parameters
+   * @param {SXBetClient} client - API client (default: shared client)
+   * @returns {AsyncGenerator<Object>} - Pages ({ trades, nextKey })
+   */
+  export async function* iterateTradePages(params = {}, client = getDefaultClient()) {
+    // Create a copy of params to avoid modifying the original
+    const queryParams = { ...params };
+    
+    do {
+      const page = await fetchTrades(queryParams, client);
+      yield { trades: page.trades || [], nextKey: page.nextKey || null };
+      queryParams.paginationKey = page.nextKey;
+    } while (queryParams.paginationKey);
+  }
+  
   /**
    * Fetches all pages of trades based on provided parameters
    * @param {Object} params - Query parameters
    * @param {number} maxRecords - Maximum number of records to fetch
+   * @param {SXBetClient} client - API client (default: shared client)
    * @returns {Promise<Array>} - Array of all fetched trades
    */
-  export async function fetchAllTrades(params = {}, maxRecords = 100) {
+  export async function fetchAllTrades(params = {}, maxRecords = 100, client = getDefaultClient()) {
     try {
-      let allTrades = [];
-      let nextKey = null;
-      let pageSize = Math.min(100, maxRecords); // API default is 100
-      
-      // Create a copy of params to avoid modifying the original
-      const queryParams = { ...params, pageSize };
+      const allTrades = [];
+      const pageSize = Math.min(100, maxRecords); // API default is 100
       
-      do {
-        if (nextKey) {
-          queryParams.paginationKey = nextKey;
-        }
-        
-        const response = await fetchTrades(queryParams);
-        const trades = response.data.trades || [];
-        
-        allTrades = [...allTrades, ...trades];
-        nextKey = response.data.nextKey;
+      for await (const page of iterateTradePages({ ...params, pageSize }, client)) {
+        allTrades.push(...page.trades);
         
         // Stop if we've reached the maximum number of records
         if (allTrades.length >= maxRecords) {
-          allTrades = allTrades.slice(0, maxRecords);
           break;
         }
-        
-      } while (nextKey && allTrades.length < maxRecords);
+      }
       
-      return allTrades;
+      return allTrades.slice(0, maxRecords);
     } catch (error) {
       console.error('Error fetching all trades:', error);
       throw error;
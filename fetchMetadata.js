@@ -1,9 +1,9 @@
-import axios from 'axios';
+import { getDefaultClient } from './common/sxBetClient.js';
 
 async function fetchMetadata() {
     try {
-        const response = await axios.get('https://api.sx.bet/metadata?chainVersion=SXR');
-        console.log(response.data);
+        const metadata = await getDefaultClient().getMetadata();
+        console.log(metadata);
     } catch (error) {
         console.error('Error fetching metadata:', error);
     }
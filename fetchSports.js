@@ -1,6 +1,50 @@
 // fetchSportsLeaguesFixturesMarkets.js
-import fetch from 'node-fetch';
 import readline from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDefaultClient } from './common/sxBetClient.js';
+import { parseCommandArgs, formatUsage } from './common/cliArgs.js';
+import { ArgumentError } from './common/errors.js';
+import { getMarketType, getMarketTypeName } from './common/marketTypes.js';
+
+// Fixture window used when none is given
+export const DEFAULT_FIXTURE_WINDOW_HOURS = 48;
+
+// Fixture status codes reported by the API, by option name
+export const FIXTURE_STATUSES = {
+  'not-started': 1,
+  'in-progress': 2,
+  finished: 3,
+  cancelled: 4,
+  postponed: 5,
+  interrupted: 6,
+  abandoned: 7,
+  'coverage-lost': 8,
+  'about-to-start': 9
+};
+
+// Statuses of fixtures that have already started, so their start date is before now
+export const LIVE_FIXTURE_STATUSES = [
+  FIXTURE_STATUSES['in-progress'],
+  FIXTURE_STATUSES.interrupted,
+  FIXTURE_STATUSES['coverage-lost']
+];
+
+// Fixture and market filters (shared with `sx sports`)
+export const BROWSER_OPTIONS = {
+  from: { type: 'date', placeholder: 'date', description: 'Start of the fixture window (default: now; no lower bound for live statuses)' },
+  hours: { type: 'number', min: 0, default: DEFAULT_FIXTURE_WINDOW_HOURS, description: 'Length of the fixture window in hours' },
+  status: {
+    type: 'enum',
+    multiple: true,
+    choices: Object.keys(FIXTURE_STATUSES),
+    placeholder: 'status',
+    description: `Only fixtures with these statuses: ${Object.keys(FIXTURE_STATUSES).join(', ')}`
+  },
+  'live-enabled': { type: 'flag', description: 'Only markets open for live betting' },
+  'all-lines': { type: 'flag', description: 'Include alternate lines, grouped by market type and sorted by line' },
+  network: { type: 'string', placeholder: 'SXR|SXN|testnet', description: 'Network profile to use (or set SX_NETWORK)' }
+};
 
 /**
  * Creates an interface for reading user input from the terminal
@@ -15,25 +59,19 @@ function createReadlineInterface() {
 
 /**
  * Fetches all available sports from the SX Bet API
+ * @param {SXBetClient} client API client (default: shared client)
+ * @param {Object} options Options
+ * @param {boolean} options.throwOnError Rethrow request errors instead of returning [] (default: false)
  * @returns {Promise<Array>} Promise resolving to an array of sport objects
  */
-async function fetchSports() {
+export async function fetchSports(client = getDefaultClient(), { throwOnError = false } = {}) {
   try {
-    const response = await fetch('https://api.sx.bet/sports');
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-    
-    const result = await response.json();
-    
-    if (result.status !== 'success') {
-      throw new Error('API returned failure status');
-    }
-    
-    return result.data;
+    return await client.getSports();
   } catch (error) {
     console.error('Error fetching sports data:', error.message);
+    if (throwOnError) {
+      throw error;
+    }
     return [];
   }
 }
@@ -41,25 +79,19 @@ async function fetchSports() {
 /**
  * Fetches active leagues for a specific sport ID
  * @param {number} sportId The ID of the sport
+ * @param {SXBetClient} client API client (default: shared client)
+ * @param {Object} options Options
+ * @param {boolean} options.throwOnError Rethrow request errors instead of returning [] (default: false)
  * @returns {Promise<Array>} Promise resolving to an array of active league objects
  */
-async function fetchActiveLeaguesForSport(sportId) {
+export async function fetchActiveLeaguesForSport(sportId, client = getDefaultClient(), { throwOnError = false } = {}) {
   try {
-    const response = await fetch(`https://api.sx.bet/leagues/active?sportId=${sportId}`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-    
-    const result = await response.json();
-    
-    if (result.status !== 'success') {
-      throw new Error('API returned failure status');
-    }
-    
-    return result.data;
+    return await client.getActiveLeagues(sportId);
   } catch (error) {
     console.error('Error fetching active leagues:', error.message);
+    if (throwOnError) {
+      throw error;
+    }
     return [];
   }
 }
@@ -67,25 +99,19 @@ async function fetchActiveLeaguesForSport(sportId) {
 /**
  * Fetches active fixtures for a specific league ID
  * @param {number} leagueId The ID of the league
+ * @param {SXBetClient} client API client (default: shared client)
+ * @param {Object} options Options
+ * @param {boolean} options.throwOnError Rethrow request errors instead of returning [] (default: false)
  * @returns {Promise<Array>} Promise resolving to an array of fixture objects
  */
-async function fetchFixturesForLeague(leagueId) {
+export async function fetchFixturesForLeague(leagueId, client = getDefaultClient(), { throwOnError = false } = {}) {
   try {
-    const response = await fetch(`https://api.sx.bet/fixture/active?leagueId=${leagueId}`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-    
-    const result = await response.json();
-    
-    if (result.status !== 'success') {
-      throw new Error('API returned failure status');
-    }
-    
-    return result.data;
+    return await client.getActiveFixtures(leagueId);
   } catch (error) {
     console.error('Error fetching fixtures:', error.message);
+    if (throwOnError) {
+      throw error;
+    }
     return [];
   }
 }
@@ -93,50 +119,133 @@ async function fetchFixturesForLeague(leagueId) {
 /**
  * Fetches active markets for a specific event ID
  * @param {string} eventId The ID of the event
+ * @param {SXBetClient} client API client (default: shared client)
+ * @param {Object} options Options
+ * @param {boolean} options.throwOnError Rethrow request errors instead of returning [] (default: false)
+ * @param {boolean} options.onlyMainLine Only fetch main lines; false adds alternate lines (default: true)
  * @returns {Promise<Array>} Promise resolving to an array of market objects
  */
-async function fetchMarketsForEvent(eventId) {
+export async function fetchMarketsForEvent(eventId, client = getDefaultClient(), { throwOnError = false, onlyMainLine = true } = {}) {
   try {
-    const response = await fetch(`https://api.sx.bet/markets/active?eventId=${eventId}&onlyMainLine=true`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-    
-    const result = await response.json();
-    
-    if (result.status !== 'success') {
-      throw new Error('API returned failure status');
-    }
-    
-    return result.data.markets;
+    return await client.getActiveMarkets(eventId, { onlyMainLine });
   } catch (error) {
     console.error('Error fetching markets:', error.message);
+    if (throwOnError) {
+      throw error;
+    }
     return [];
   }
 }
 
 /**
- * Filters fixtures to only include those starting in the next 48 hours
+ * Converts parsed BROWSER_OPTIONS values into filter options
+ * @param {Object} values Parsed option values
+ * @returns {Object} Filters for filterFixtures, filterMarkets and fetchMarketsForEvent
+ */
+export function getBrowserFilters(values) {
+  return {
+    from: values.from !== undefined ? new Date(values.from * 1000) : undefined,
+    hours: values.hours !== undefined ? values.hours : DEFAULT_FIXTURE_WINDOW_HOURS,
+    statuses: values.status ? values.status.map(name => FIXTURE_STATUSES[name]) : undefined,
+    liveEnabledOnly: Boolean(values['live-enabled']),
+    onlyMainLine: !values['all-lines']
+  };
+}
+
+/**
+ * Checks whether a status filter asks for fixtures that have already started
+ * @param {number[]} statuses Fixture status codes
+ * @returns {boolean} True if any status is in LIVE_FIXTURE_STATUSES
+ */
+function includesLiveStatus(statuses) {
+  return Boolean(statuses) && statuses.some(status => LIVE_FIXTURE_STATUSES.includes(status));
+}
+
+/**
+ * Filters fixtures to those starting inside a time window and, optionally, with given statuses.
+ * Without an explicit start, a filter on live statuses drops the window's lower bound, since
+ * fixtures in play started before now.
  * @param {Array} fixtures Array of fixture objects
+ * @param {Object} filters Filters
+ * @param {Date} filters.from Start of the window (default: now, or no lower bound for live statuses)
+ * @param {number} filters.hours Length of the window in hours (default: 48)
+ * @param {number[]} filters.statuses Fixture status codes to keep (default: any)
  * @returns {Array} Filtered array of fixture objects
  */
-function filterFixturesForNext48Hours(fixtures) {
-  const now = new Date();
-  const in48Hours = new Date(now.getTime() + 48 * 60 * 60 * 1000);
+export function filterFixtures(fixtures, { from, hours = DEFAULT_FIXTURE_WINDOW_HOURS, statuses } = {}) {
+  const start = from || new Date();
+  const lowerBound = from || !includesLiveStatus(statuses) ? start : null;
+  const until = new Date(start.getTime() + hours * 60 * 60 * 1000);
   
   return fixtures.filter(fixture => {
     const startDate = new Date(fixture.startDate);
-    return startDate >= now && startDate <= in48Hours;
+    if ((lowerBound && startDate < lowerBound) || startDate > until) {
+      return false;
+    }
+    return !statuses || statuses.length === 0 || statuses.includes(fixture.status);
   });
 }
 
+/**
+ * Filters markets to those open for live betting when asked to
+ * @param {Array} markets Array of market objects
+ * @param {Object} filters Filters
+ * @param {boolean} filters.liveEnabledOnly Only keep live-enabled markets (default: false)
+ * @returns {Array} Filtered array of market objects
+ */
+export function filterMarkets(markets, { liveEnabledOnly = false } = {}) {
+  return liveEnabledOnly ? markets.filter(market => market.liveEnabled) : markets;
+}
+
+/**
+ * Groups markets by market type, with each group's lines sorted from lowest to highest
+ * @param {Array} markets Array of market objects
+ * @returns {Array<{type: number, markets: Array}>} Groups in market type order
+ */
+export function groupMarketsByType(markets) {
+  const groups = new Map();
+  for (const market of markets) {
+    if (!groups.has(market.type)) {
+      groups.set(market.type, []);
+    }
+    groups.get(market.type).push(market);
+  }
+  
+  // Markets without a line (e.g. moneylines) sort first
+  const lineValue = market => (market.line !== undefined && market.line !== null ? market.line : -Infinity);
+  
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([type, group]) => ({ type, markets: group.sort((a, b) => lineValue(a) - lineValue(b)) }));
+}
+
+/**
+ * Describes a fixture window for headings, e.g. "NEXT 48 HOURS"
+ * @param {Object} filters Filters from getBrowserFilters
+ * @returns {string} Window description
+ */
+export function describeFixtureWindow({ from, hours = DEFAULT_FIXTURE_WINDOW_HOURS, statuses } = {}) {
+  let description;
+  if (from) {
+    description = `${hours} HOURS FROM ${formatDate(from)}`;
+  } else if (includesLiveStatus(statuses)) {
+    description = `STARTED OR IN THE NEXT ${hours} HOURS`;
+  } else {
+    description = `NEXT ${hours} HOURS`;
+  }
+  if (statuses && statuses.length > 0) {
+    const names = Object.keys(FIXTURE_STATUSES).filter(name => statuses.includes(FIXTURE_STATUSES[name]));
+    description += `, ${names.join('/').toUpperCase()}`;
+  }
+  return description;
+}
+
 /**
  * Sorts fixtures chronologically by start date
  * @param {Array} fixtures Array of fixture objects
  * @returns {Array} Sorted array of fixture objects
  */
-function sortFixturesChronologically(fixtures) {
+export function sortFixturesChronologically(fixtures) {
   return [...fixtures].sort((a, b) => {
     return new Date(a.startDate) - new Date(b.startDate);
   });
@@ -213,13 +322,15 @@ function displayActiveLeagues(leagues, sportName) {
  * Displays fixtures for a league in the terminal
  * @param {Array} fixtures Array of fixture objects
  * @param {string} leagueName Name of the league
+ * @param {Object} filters Filters the fixtures were selected with
  * @returns {Array} The displayed fixtures
  */
-function displayFixtures(fixtures, leagueName) {
-  console.log(`\n===== FIXTURES FOR ${leagueName.toUpperCase()} (NEXT 48 HOURS) =====\n`);
+function displayFixtures(fixtures, leagueName, filters) {
+  const window = describeFixtureWindow(filters);
+  console.log(`\n===== FIXTURES FOR ${leagueName.toUpperCase()} (${window}) =====\n`);
   
   if (fixtures.length === 0) {
-    console.log('No fixtures available for this league in the next 48 hours.');
+    console.log(`No fixtures available for this league (${window.toLowerCase()}).`);
     return fixtures;
   }
   
@@ -240,26 +351,39 @@ function displayFixtures(fixtures, leagueName) {
     console.log('-'.repeat(60));
   });
   
-  console.log(`\nTotal fixtures in next 48 hours: ${fixtures.length}`);
+  console.log(`\nTotal fixtures (${window.toLowerCase()}): ${fixtures.length}`);
   return fixtures;
 }
 
 /**
- * Displays markets for a fixture in the terminal
+ * Displays markets for a fixture in the terminal: each main line in full, or with
+ * alternate lines, one table per market type
  * @param {Array} markets Array of market objects
  * @param {string} eventId The event ID
+ * @param {Object} filters Filters the markets were fetched with
  */
-function displayMarkets(markets, eventId) {
-  console.log(`\n===== ACTIVE MAINLINE MARKETS FOR EVENT ID: ${eventId} =====\n`);
+function displayMarkets(markets, eventId, { onlyMainLine = true, liveEnabledOnly = false } = {}) {
+  const kind = `${liveEnabledOnly ? 'live-enabled ' : ''}${onlyMainLine ? 'mainline ' : ''}markets`;
+  console.log(`\n===== ACTIVE ${kind.toUpperCase()} FOR EVENT ID: ${eventId} =====\n`);
   
   if (markets.length === 0) {
-    console.log('No active mainline markets available for this fixture.');
+    console.log(`No active ${kind} available for this fixture.`);
+    return;
+  }
+  
+  if (!onlyMainLine) {
+    displayMarketGroups(groupMarketsByType(markets));
+    console.log(`\nTotal active ${kind}: ${markets.length}`);
     return;
   }
   
   // Display each market
   markets.forEach((market, index) => {
-    console.log(`[${index + 1}] Market Type: ${market.type} (${getMarketTypeName(market.type)})`);
+    const marketType = getMarketType(market.type);
+    console.log(`[${index + 1}] Market Type: ${market.type} (${marketType.name})`);
+    if (marketType.known) {
+      console.log(`    Kind: ${marketType.kind}, ${marketType.period}`);
+    }
     console.log(`    Market Hash: ${market.marketHash}`);
     console.log(`    Outcome One: ${market.outcomeOneName}`);
     console.log(`    Outcome Two: ${market.outcomeTwoName}`);
@@ -282,51 +406,27 @@ function displayMarkets(markets, eventId) {
     console.log('-'.repeat(60));
   });
   
-  console.log(`\nTotal active mainline markets: ${markets.length}`);
+  console.log(`\nTotal active ${kind}: ${markets.length}`);
 }
 
 /**
- * Gets the name of a market type based on its ID
- * @param {number} typeId The type ID
- * @returns {string} The market type name
+ * Displays markets grouped by type as one table per type, main lines marked with *
+ * @param {Array<{type: number, markets: Array}>} groups Groups from groupMarketsByType
  */
-function getMarketTypeName(typeId) {
-  const marketTypes = {
-    1: '1X2',
-    2: 'Under/Over',
-    3: 'Asian Handicap',
-    21: 'Under/Over First Period',
-    28: 'Under/Over Including Overtime',
-    29: 'Under/Over Rounds',
-    45: 'Under/Over Second Period',
-    46: 'Under/Over Third Period',
-    52: '12',
-    53: 'Asian Handicap Halftime',
-    63: '12 Halftime',
-    64: 'Asian Handicap First Period',
-    65: 'Asian Handicap Second Period',
-    66: 'Asian Handicap Third Period',
-    77: 'Under/Over Halftime',
-    88: 'To Qualify',
-    165: 'Set Total',
-    166: 'Under/Over Games',
-    201: 'Asian Handicap Games',
-    202: 'First Period Winner',
-    203: 'Second Period Winner',
-    204: 'Third Period Winner',
-    205: 'Fourth Period Winner',
-    226: '12 Including Overtime',
-    236: '1st 5 Innings Under/Over',
-    274: 'Outright Winner',
-    281: '1st Five Innings Asian handicap',
-    342: 'Asian Handicap Including Overtime',
-    835: 'Asian Under/Over',
-    866: 'Set Spread',
-    1536: 'Under/Over Maps',
-    1618: '1st 5 Innings Winner-12'
-  };
-  
-  return marketTypes[typeId] || 'Unknown';
+function displayMarketGroups(groups) {
+  groups.forEach(({ type, markets }, index) => {
+    console.log(`${index > 0 ? '\n' : ''}Market Type: ${type} (${getMarketTypeName(type)}) - ${markets.length} line(s)`);
+    console.log('Line | Outcome One | Outcome Two | Live | Market Hash');
+    console.log('---- | ----------- | ----------- | ---- | -----------');
+    markets.forEach(market => {
+      const line = market.line !== undefined && market.line !== null ? String(market.line) : '-';
+      console.log(
+        `${market.mainLine ? `${line}*` : line} | ${market.outcomeOneName} | ${market.outcomeTwoName} | ` +
+        `${market.liveEnabled ? 'Yes' : 'No'} | ${market.marketHash}`
+      );
+    });
+  });
+  console.log('\n* main line');
 }
 
 /**
@@ -381,9 +481,10 @@ async function selectSportAndDisplayLeagues(sports) {
  * Asks user to select a league and displays its fixtures
  * @param {Array} leagues Array of league objects
  * @param {Object} selectedSport The selected sport object
+ * @param {Object} filters Fixture filters
  * @returns {Promise<{fixtures: Array, selectedLeague: Object}>} Selected league and its fixtures
  */
-async function selectLeagueAndDisplayFixtures(leagues, selectedSport) {
+async function selectLeagueAndDisplayFixtures(leagues, selectedSport, filters) {
   if (!leagues || leagues.length === 0 || !selectedSport) {
     return { fixtures: [], selectedLeague: null };
   }
@@ -418,14 +519,14 @@ async function selectLeagueAndDisplayFixtures(leagues, selectedSport) {
     // Fetch fixtures for the selected league
     const fixtures = await fetchFixturesForLeague(numericLeagueId);
     
-    // Filter fixtures for the next 48 hours
-    const filteredFixtures = filterFixturesForNext48Hours(fixtures);
+    // Keep fixtures inside the window with the requested statuses
+    const filteredFixtures = filterFixtures(fixtures, filters);
     
     // Sort fixtures chronologically
     const sortedFixtures = sortFixturesChronologically(filteredFixtures);
     
     // Display the fixtures
-    const displayedFixtures = displayFixtures(sortedFixtures, selectedLeague.label);
+    const displayedFixtures = displayFixtures(sortedFixtures, selectedLeague.label, filters);
     
     return { fixtures: displayedFixtures, selectedLeague };
     
@@ -437,8 +538,9 @@ async function selectLeagueAndDisplayFixtures(leagues, selectedSport) {
 /**
  * Asks user to select a fixture and displays its active markets
  * @param {Array} fixtures Array of fixture objects
+ * @param {Object} filters Market filters
  */
-async function selectFixtureAndDisplayMarkets(fixtures) {
+async function selectFixtureAndDisplayMarkets(fixtures, filters) {
   if (!fixtures || fixtures.length === 0) {
     return;
   }
@@ -466,18 +568,22 @@ async function selectFixtureAndDisplayMarkets(fixtures) {
     console.log(`\nFetching active markets for fixture: ${selectedFixture.participantOneName} vs ${selectedFixture.participantTwoName}...`);
     
     // Fetch active markets for the selected fixture
-    const markets = await fetchMarketsForEvent(selectedFixture.eventId);
+    const markets = await fetchMarketsForEvent(selectedFixture.eventId, undefined, { onlyMainLine: filters.onlyMainLine });
     
     // Display the markets
-    displayMarkets(markets, selectedFixture.eventId);
+    displayMarkets(filterMarkets(markets, filters), selectedFixture.eventId, filters);
     
   } finally {
     rl.close();
   }
 }
 
-// Main execution
-async function main() {
+/**
+ * Runs the interactive sport -> league -> fixture -> market browser
+ * @param {Object} filters Fixture and market filters from getBrowserFilters (default: next 48 hours, main lines)
+ * @returns {Promise<void>}
+ */
+export async function main(filters = getBrowserFilters({})) {
   console.log('Fetching sports from SX Bet API...');
   const sports = await fetchSports();
   displaySports(sports);
@@ -486,16 +592,44 @@ async function main() {
     const { leagues, selectedSport } = await selectSportAndDisplayLeagues(sports);
     
     if (leagues && leagues.length > 0) {
-      const { fixtures } = await selectLeagueAndDisplayFixtures(leagues, selectedSport);
+      const { fixtures } = await selectLeagueAndDisplayFixtures(leagues, selectedSport, filters);
       
       if (fixtures && fixtures.length > 0) {
-        await selectFixtureAndDisplayMarkets(fixtures);
+        await selectFixtureAndDisplayMarkets(fixtures, filters);
       }
     }
   }
 }
 
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-  process.exit(1);
-});
\ No newline at end of file
+// Run the browser when executed directly (not when imported, e.g. by the catalog crawler)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  let values;
+  try {
+    ({ values } = parseCommandArgs(BROWSER_OPTIONS));
+  } catch (error) {
+    if (!(error instanceof ArgumentError)) {
+      throw error;
+    }
+    console.error(`${error.message}\nRun with --help to see the available options.`);
+    process.exit(2);
+  }
+  
+  if (values.help) {
+    console.log(formatUsage({
+      command: 'node fetchSports.js',
+      description: 'Browse sports, leagues, fixtures and markets interactively.',
+      options: BROWSER_OPTIONS,
+      examples: [
+        'node fetchSports.js',
+        'node fetchSports.js --from 2025-04-02 --hours 168',
+        'node fetchSports.js --status in-progress --live-enabled',
+        'node fetchSports.js --all-lines --network testnet'
+      ]
+    }));
+  } else {
+    main(getBrowserFilters(values)).catch(error => {
+      console.error('An unexpected error occurred:', error);
+      process.exit(1);
+    });
+  }
+}
\ No newline at end of file
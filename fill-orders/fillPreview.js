@@ -0,0 +1,72 @@
+// fillPreview.js - Previews what filling an order would cost and pay before confirming
+import {
+  parseAmount,
+  toNominalAmount,
+  calculateRemainingTakerSpace,
+  calculateFillAmount,
+  impliedOddsFromPayout,
+  formatImpliedOdds
+} from '../common/odds.js';
+import { formatOdds } from '../common/oddsFormat.js';
+import { getOutcomeLabel } from '../common/marketTypes.js';
+
+/**
+ * Computes stake, payout, profit and effective odds for filling an order as a taker
+ * @param {Object} order - Order from the API
+ * @param {string|number} stake - Taker stake in USDC
+ * @param {Object} options - Options
+ * @param {boolean} options.cap - Cap the stake at the remaining taker space instead of throwing (default: false)
+ * @returns {Object} - Preview with base-unit amounts and effective odds (20 decimals) as BigInts
+ */
+export function previewFill(order, stake, { cap = false } = {}) {
+  const remainingTakerSpace = calculateRemainingTakerSpace(order);
+  let takerStake = parseAmount(stake);
+  let capped = false;
+
+  if (takerStake <= 0n) {
+    throw new Error('Stake must be greater than zero');
+  }
+
+  if (takerStake > remainingTakerSpace) {
+    if (!cap) {
+      throw new Error(
+        `Stake ${stake} USDC exceeds the order's remaining taker space of ${toNominalAmount(remainingTakerSpace)} USDC`
+      );
+    }
+    takerStake = remainingTakerSpace;
+    capped = true;
+  }
+
+  // Fill amount is expressed from the maker's perspective; it is also the taker's profit
+  const fillAmount = calculateFillAmount(takerStake, order.percentageOdds);
+  const potentialPayout = takerStake + fillAmount;
+
+  return {
+    remainingTakerSpace,
+    takerStake,
+    fillAmount,
+    potentialPayout,
+    profit: fillAmount,
+    capped,
+    // Taker bets the opposite side of the maker
+    takerOutcome: order.isMakerBettingOutcomeOne ? 2 : 1,
+    effectiveOdds: impliedOddsFromPayout(takerStake, potentialPayout)
+  };
+}
+
+/**
+ * Prints a fill preview
+ * @param {Object} preview - Preview from previewFill
+ * @param {string} oddsFormat - Format for the effective odds (default: decimal)
+ * @param {Object} market - The order's market, for the outcome label (optional)
+ */
+export function displayFillPreview(preview, oddsFormat = 'decimal', market) {
+  console.log('\n========== FILL PREVIEW ==========');
+  console.log(`Betting on:        ${getOutcomeLabel(market, preview.takerOutcome)}`);
+  console.log(`Remaining space:   ${toNominalAmount(preview.remainingTakerSpace)} USDC`);
+  console.log(`Stake:             ${toNominalAmount(preview.takerStake)} USDC${preview.capped ? ' (capped)' : ''}`);
+  console.log(`Potential payout:  ${toNominalAmount(preview.potentialPayout)} USDC`);
+  console.log(`Profit if won:     ${toNominalAmount(preview.profit)} USDC`);
+  console.log(`Effective odds:    ${formatOdds(preview.effectiveOdds, oddsFormat)} (${formatImpliedOdds(preview.effectiveOdds)} implied)`);
+  console.log('==================================\n');
+}
@@ -1,16 +1,28 @@
 // index.js
-import { getActiveOrdersForMaker, fillOrder, calculateFillAmount, formatOdds } from './orderFiller.js';
+import { getActiveOrdersForMaker, fillOrder, formatOdds } from './orderFiller.js';
+import { calculateRemainingTakerSpace, toNominalAmount, formatImpliedOdds, formatFixed, ODDS_DECIMALS } from '../common/odds.js';
+import {
+  getOddsFormat,
+  parseOdds,
+  formatOdds as formatOddsAs,
+  ODDS_FORMAT_LABELS,
+  ODDS_FORMAT_EXAMPLES
+} from '../common/oddsFormat.js';
+import { previewFill, displayFillPreview } from './fillPreview.js';
+import { planTakerRoute } from './takerRouter.js';
+import { fetchOrders } from '../fetch-orders/orderFetcher.js';
+import { fetchMarketLookup, getOutcomeLabel } from '../common/marketTypes.js';
 import inquirer from 'inquirer';
 import dotenv from 'dotenv';
 import { ethers } from 'ethers';
 
 dotenv.config();
 
-async function main() {
+// Odds format for prompts and output (--odds-format or SX_ODDS_FORMAT)
+const oddsFormat = getOddsFormat('decimal');
+
+async function fillSingleOrder() {
   try {
-    console.log('SX Bet Order Filler');
-    console.log('-------------------');
-    
     // Ask for maker address
     const { makerAddress } = await inquirer.prompt([
       {
@@ -33,13 +45,17 @@ async function main() {
     
     console.log(`Found ${activeOrders.length} active orders.\n`);
     
+    // Market details turn the maker's side into a label like "Lakers -3.5"
+    const markets = await fetchMarketLookup(activeOrders.map(order => order.marketHash));
+    const getMakerSide = order => getOutcomeLabel(markets.get(order.marketHash), order.isMakerBettingOutcomeOne ? 1 : 2);
+    
     // Format orders for display
     const orderChoices = activeOrders.map((order, index) => {
-      const odds = formatOdds(order.percentageOdds);
-      const side = order.isMakerBettingOutcomeOne ? 'Outcome 1' : 'Outcome 2';
+      const odds = formatOdds(order.percentageOdds, oddsFormat);
+      const side = getMakerSide(order);
       
       return {
-        name: `Order ${index + 1}: Market ${order.marketHash.substring(0, 8)}... | Side: ${side} | Odds: ${odds.decimalOdds} (${odds.impliedPercentage})`,
+        name: `Order ${index + 1}: Market ${order.marketHash.substring(0, 8)}... | Side: ${side} | Odds: ${odds.displayOdds} (${odds.impliedPercentage})`,
         value: index
       };
     });
@@ -55,16 +71,24 @@ async function main() {
     ]);
     
     const selectedOrder = activeOrders[selectedOrderIndex];
-    const formattedOdds = formatOdds(selectedOrder.percentageOdds);
+    const formattedOdds = formatOdds(selectedOrder.percentageOdds, oddsFormat);
     
     console.log('\nSelected Order Details:');
     console.log(`Market Hash: ${selectedOrder.marketHash}`);
     console.log(`Maker: ${selectedOrder.maker}`);
-    console.log(`Side: ${selectedOrder.isMakerBettingOutcomeOne ? 'Outcome 1' : 'Outcome 2'}`);
-    console.log(`Odds: ${formattedOdds.decimalOdds} (${formattedOdds.impliedPercentage})`);
-    console.log(`Available Size: ${ethers.formatUnits(selectedOrder.totalBetSize, 6)} USDC`);
+    console.log(`Side: ${getMakerSide(selectedOrder)}`);
+    console.log(`Odds: ${formattedOdds.displayOdds} (${formattedOdds.impliedPercentage})`);
+    
+    // Remaining taker space accounts for partial fills
+    const remainingTakerSpace = calculateRemainingTakerSpace(selectedOrder);
+    console.log(`Available Size (taker stake): ${toNominalAmount(remainingTakerSpace)} USDC`);
     
-    // Ask for stake amount
+    if (remainingTakerSpace === 0n) {
+      console.log('This order has no remaining space to fill.');
+      return;
+    }
+    
+    // Ask for stake amount, rejecting stakes the order cannot absorb
     const { stakeAmount } = await inquirer.prompt([
       {
         type: 'input',
@@ -72,14 +96,22 @@ async function main() {
         message: 'Enter amount of USDC to stake:',
         validate: input => {
           const num = parseFloat(input);
-          return !isNaN(num) && num > 0 ? true : 'Please enter a valid amount';
+          if (isNaN(num) || num <= 0) {
+            return 'Please enter a valid amount';
+          }
+          try {
+            previewFill(selectedOrder, input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
         }
       }
     ]);
     
-    // Calculate fill amount from maker's perspective
-    const fillAmount = calculateFillAmount(stakeAmount, selectedOrder.percentageOdds);
-    console.log(`\nCalculated fill amount from maker's perspective: ${ethers.formatUnits(fillAmount, 6)} USDC`);
+    // Show stake, payout, profit and effective odds before confirming
+    const preview = previewFill(selectedOrder, stakeAmount);
+    displayFillPreview(preview, oddsFormat, markets.get(selectedOrder.marketHash));
     
     // Confirm filling order
     const { confirmFill } = await inquirer.prompt([
@@ -97,7 +129,7 @@ async function main() {
     }
     
     console.log('\nFilling order...');
-    const result = await fillOrder([selectedOrder], [fillAmount]);
+    const result = await fillOrder([selectedOrder], [preview.fillAmount.toString()]);
     
     console.log('\nOrder filled successfully!');
     console.log(`Fill Hash: ${result.fillHash}`);
@@ -107,4 +139,123 @@ async function main() {
   }
 }
 
+async function sweepMarket() {
+  try {
+    const { marketHash } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'marketHash',
+        message: 'Enter market hash:',
+        validate: input => /^0x[0-9a-fA-F]{64}$/.test(input) ? true : 'Please enter a valid market hash'
+      }
+    ]);
+    
+    // Label the outcomes from the market, e.g. "Over 210.5" / "Under 210.5"
+    const market = (await fetchMarketLookup([marketHash])).get(marketHash);
+    
+    const { outcome, stakeAmount, worstOddsInput } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'outcome',
+        message: 'Which outcome do you want to bet on?',
+        choices: [
+          { name: getOutcomeLabel(market, 1), value: 1 },
+          { name: getOutcomeLabel(market, 2), value: 2 }
+        ]
+      },
+      {
+        type: 'input',
+        name: 'stakeAmount',
+        message: 'Enter total USDC to stake:',
+        validate: input => {
+          const num = parseFloat(input);
+          return !isNaN(num) && num > 0 ? true : 'Please enter a valid amount';
+        }
+      },
+      {
+        type: 'input',
+        name: 'worstOddsInput',
+        message: `Enter worst acceptable ${ODDS_FORMAT_LABELS[oddsFormat].toLowerCase()} odds (e.g., ${ODDS_FORMAT_EXAMPLES[oddsFormat]}):`,
+        validate: input => {
+          try {
+            parseOdds(input, oddsFormat);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        }
+      }
+    ]);
+    
+    console.log(`\nFetching orders for market ${marketHash}...`);
+    const orders = await fetchOrders(marketHash);
+    const route = planTakerRoute(orders, {
+      outcome,
+      stake: stakeAmount,
+      worstImpliedOdds: formatFixed(parseOdds(worstOddsInput, oddsFormat), ODDS_DECIMALS)
+    });
+    
+    if (route.legs.length === 0) {
+      console.log('No orders available at or better than the worst acceptable odds.');
+      return;
+    }
+    
+    console.log(`\nPlanned fills on ${getOutcomeLabel(market, outcome)}:`);
+    route.legs.forEach((leg, index) => {
+      console.log(
+        `  ${index + 1}. ${leg.order.orderHash.substring(0, 10)}... | ${formatOddsAs(leg.takerOdds, oddsFormat)} (${formatImpliedOdds(leg.takerOdds)}) | Stake: ${toNominalAmount(leg.takerStake)} USDC`
+      );
+    });
+    console.log(`Total stake: ${toNominalAmount(route.filledStake)} USDC (unfilled: ${toNominalAmount(route.unfilledStake)} USDC)`);
+    console.log(`Average odds: ${formatOddsAs(route.averageOdds, oddsFormat)} (${formatImpliedOdds(route.averageOdds)})`);
+    
+    const { confirmFill } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmFill',
+        message: `Fill ${route.legs.length} order(s)?`,
+        default: false
+      }
+    ]);
+    
+    if (!confirmFill) {
+      console.log('Order filling cancelled.');
+      return;
+    }
+    
+    console.log('\nFilling orders...');
+    const result = await fillOrder(route.legs.map(leg => leg.order), route.takerAmounts);
+    
+    console.log('\nOrders filled successfully!');
+    console.log(`Fill Hash: ${result.fillHash}`);
+    console.log(`Average odds achieved: ${formatOddsAs(route.averageOdds, oddsFormat)} (${formatImpliedOdds(route.averageOdds)})`);
+    
+  } catch (error) {
+    console.error('Error:', error.message);
+  }
+}
+
+async function main() {
+  console.log('SX Bet Order Filler');
+  console.log('-------------------');
+  
+  const { mode } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'mode',
+      message: 'What do you want to do?',
+      choices: [
+        { name: "Fill a specific maker's order", value: 'single' },
+        { name: 'Sweep a market up to a stake and worst odds', value: 'sweep' }
+      ]
+    }
+  ]);
+  
+  if (mode === 'sweep') {
+    await sweepMarket();
+  } else {
+    await fillSingleOrder();
+  }
+}
+
 main().catch(console.error);
\ No newline at end of file
@@ -2,65 +2,40 @@
 import { ethers } from 'ethers';
 import { randomBytes } from 'crypto';
 import dotenv from 'dotenv';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { requireNetworkValue } from '../common/networks.js';
+import { getAccount } from '../common/signer.js';
+import { formatImpliedOdds, formatDecimalOdds } from '../common/odds.js';
+import { formatOdds as formatOddsAs } from '../common/oddsFormat.js';
 
 dotenv.config();
 
-// Constants 
-const SX_BET_API_URL = 'https://api.sx.bet';
-const EIP712_FILL_HASHER = '0x845a2Da2D70fEDe8474b1C8518200798c60aC364';
-const TOKEN_TRANSFER_PROXY = '0x38aef22152BC8965bf0af7Cf53586e4b0C4E9936';
-const USDC_BASE_TOKEN = '0x6629Ce1Cf35Cc1329ebB4F63202F3f197b3F050B';
-const CHAIN_ID = 4162;
-const DOMAIN_VERSION = '6.0';
-const RPC_URL = 'https://rpc.sx-rollup.gelato.digital/';
-
 /**
  * Fetches active orders for a specific maker
  * @param {string} maker - Ethereum address of the maker
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @param {Object} options - Options
+ * @param {string|null} options.baseToken - Only orders in this token; null for every token (default: the client's base token)
  * @returns {Promise<Array>} - Array of active orders
  */
-export async function getActiveOrdersForMaker(maker) {
+export async function getActiveOrdersForMaker(maker, client = getDefaultClient(), { baseToken = client.baseToken } = {}) {
   try {
-    const response = await fetch(`${SX_BET_API_URL}/orders?maker=${maker}`);
-    const data = await response.json();
-    
-    if (data.status !== 'success') {
-      throw new Error('Failed to fetch orders');
-    }
-    
-    return data.data;
+    return await client.getOrders({ maker, baseToken });
   } catch (error) {
     console.error('Error fetching active orders:', error);
     throw error;
   }
 }
 
-/**
- * Calculates the fill amount from the taker's perspective
- * @param {string} takerBetAmount - Amount the taker wants to bet
- * @param {string} percentageOdds - The odds in percentage format
- * @returns {string} - Fill amount from maker's perspective
- */
-export function calculateFillAmount(takerBetAmount, percentageOdds) {
-  const takerBetAmountBN = ethers.parseUnits(takerBetAmount, 6); // USDC has 6 decimals
-  const percentageOddsBN = ethers.getBigInt(percentageOdds);
-  const base = ethers.getBigInt('100000000000000000000'); // 10^20
-  
-  // Formula: fillAmount = takerBetAmount * percentageOdds / (10^20 - percentageOdds)
-  const denominator = base - percentageOddsBN;
-  const fillAmount = (takerBetAmountBN * percentageOddsBN) / denominator;
-  
-  return fillAmount.toString();
-}
-
 /**
  * Creates the EIP712 payload for filling orders
  * @param {Array} orders - Orders to fill
  * @param {Array} takerAmounts - Amount to fill for each order
  * @param {string} taker - Address of the taker
+ * @param {Object} network - Network profile supplying the EIP712 domain
  * @returns {Object} - EIP712 payload and fillSalt
  */
-function createFillOrderPayload(orders, takerAmounts, taker) {
+function createFillOrderPayload(orders, takerAmounts, taker, network) {
   const fillSalt = ethers.toBigInt('0x' + randomBytes(32).toString('hex')).toString();
   
   const payload = {
@@ -98,9 +73,9 @@ function createFillOrderPayload(orders, takerAmounts, taker) {
     primaryType: "Details",
     domain: {
       name: "SX Bet",
-      version: DOMAIN_VERSION,
-      chainId: CHAIN_ID,
-      verifyingContract: EIP712_FILL_HASHER,
+      version: requireNetworkValue(network, 'domainVersion'),
+      chainId: network.chainId,
+      verifyingContract: requireNetworkValue(network, 'eip712FillHasher'),
     },
     message: {
       action: "N/A",
@@ -138,20 +113,16 @@ function createFillOrderPayload(orders, takerAmounts, taker) {
  * Fills an order on SX Bet
  * @param {Array} orders - Orders to fill
  * @param {Array} takerAmounts - Amount to fill for each order
+ * @param {SXBetClient} client - API client (default: shared client)
  * @returns {Promise<Object>} - Fill result
  */
-export async function fillOrder(orders, takerAmounts) {
+export async function fillOrder(orders, takerAmounts, client = getDefaultClient()) {
   try {
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-      throw new Error('Private key is not set in .env file');
-    }
-    
-    const taker = '0xa6fa134f76496300419E6dbee487239F09d247aE';
-    const wallet = new ethers.Wallet(privateKey);
+    // Taker address always comes from the signing key
+    const { wallet, address: taker } = getAccount();
 
     // Create EIP712 payload
-    const { payload, fillSalt } = createFillOrderPayload(orders, takerAmounts, taker);
+    const { payload, fillSalt } = createFillOrderPayload(orders, takerAmounts, taker, client.network);
 
     // Sign the payload
     const signature = await wallet.signTypedData(
@@ -176,21 +147,7 @@ export async function fillOrder(orders, takerAmounts) {
     };
 
     // Send request to SX Bet API
-    const response = await fetch(`${SX_BET_API_URL}/orders/fill`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(apiPayload),
-    });
-
-    const result = await response.json();
-    
-    if (result.status !== 'success') {
-      throw new Error(`Fill failed: ${JSON.stringify(result)}`);
-    }
-    
-    return result.data;
+    return await client.fillOrders(apiPayload);
   } catch (error) {
     console.error('Error filling order:', error);
     throw error;
@@ -200,13 +157,13 @@ export async function fillOrder(orders, takerAmounts) {
 /**
  * Formats odds for display
  * @param {string} percentageOdds - The odds in SX Bet format
+ * @param {string} oddsFormat - Format for displayOdds (default: decimal)
  * @returns {Object} - Formatted odds information
  */
-export function formatOdds(percentageOdds) {
-  const impliedOdds = Number(percentageOdds) / 1e20;
-  const decimalOdds = 1 / impliedOdds;
+export function formatOdds(percentageOdds, oddsFormat = 'decimal') {
   return {
-    impliedPercentage: (impliedOdds * 100).toFixed(2) + '%',
-    decimalOdds: decimalOdds.toFixed(2)
+    impliedPercentage: formatImpliedOdds(percentageOdds),
+    decimalOdds: formatDecimalOdds(percentageOdds),
+    displayOdds: formatOddsAs(percentageOdds, oddsFormat)
   };
 }
\ No newline at end of file
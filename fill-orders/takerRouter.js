@@ -0,0 +1,97 @@
+// takerRouter.js - Sweeps the best-priced orders on a market up to a stake and worst acceptable odds
+import { fetchOrders } from '../fetch-orders/orderFetcher.js';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { fillOrder } from './orderFiller.js';
+import {
+  parseAmount,
+  parseImpliedOdds,
+  calculateTakerOdds,
+  calculateRemainingTakerSpace,
+  calculateFillAmount,
+  impliedOddsFromPayout
+} from '../common/odds.js';
+
+/**
+ * Plans how to split a taker stake across the best-priced orders
+ * @param {Array} orders - Active orders for the market
+ * @param {Object} params - Routing parameters
+ * @param {number} params.outcome - Outcome the taker is betting on (1 or 2)
+ * @param {string|number} params.stake - Total taker stake in USDC
+ * @param {number} params.worstImpliedOdds - Highest taker implied odds to accept (e.g., 0.55)
+ * @returns {Object} - Route: { legs, takerAmounts, filledStake, unfilledStake, averageOdds }.
+ *   Amounts are in base units and averageOdds has 20 decimals (null when nothing fills).
+ */
+export function planTakerRoute(orders, { outcome, stake, worstImpliedOdds }) {
+  const stakeUnits = parseAmount(stake);
+  const worstOdds = parseImpliedOdds(worstImpliedOdds);
+
+  // Taker bets the opposite side of the maker; taker odds are 1 - maker odds
+  const candidates = orders
+    .filter(order => (order.isMakerBettingOutcomeOne ? 2 : 1) === outcome)
+    .map(order => ({
+      order,
+      takerOdds: calculateTakerOdds(order.percentageOdds),
+      space: calculateRemainingTakerSpace(order)
+    }))
+    .filter(candidate => candidate.takerOdds <= worstOdds && candidate.space > 0n)
+    .sort((a, b) => (a.takerOdds < b.takerOdds ? -1 : a.takerOdds > b.takerOdds ? 1 : 0));
+
+  const legs = [];
+  let remaining = stakeUnits;
+  let totalPayout = 0n;
+
+  for (const candidate of candidates) {
+    if (remaining <= 0n) {
+      break;
+    }
+
+    const takerStake = remaining < candidate.space ? remaining : candidate.space;
+
+    // Fill amount is expressed from the maker's perspective
+    const fillAmount = calculateFillAmount(takerStake, candidate.order.percentageOdds);
+    if (fillAmount === 0n) {
+      continue;
+    }
+
+    legs.push({
+      order: candidate.order,
+      takerStake,
+      fillAmount,
+      takerOdds: candidate.takerOdds
+    });
+    totalPayout += takerStake + fillAmount;
+    remaining -= takerStake;
+  }
+
+  const filledStake = stakeUnits - remaining;
+
+  return {
+    legs,
+    takerAmounts: legs.map(leg => leg.fillAmount.toString()),
+    filledStake,
+    unfilledStake: remaining,
+    averageOdds: impliedOddsFromPayout(filledStake, totalPayout)
+  };
+}
+
+/**
+ * Fetches a market's orders, picks the best-priced ones and fills them in one request
+ * @param {Object} params - Routing parameters
+ * @param {string} params.marketHash - Market to bet on
+ * @param {number} params.outcome - Outcome the taker is betting on (1 or 2)
+ * @param {string|number} params.stake - Total taker stake in USDC
+ * @param {number} params.worstImpliedOdds - Highest taker implied odds to accept (e.g., 0.55)
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Object>} - The executed route plus the fill result ({ ...route, fill })
+ */
+export async function routeAndFill({ marketHash, outcome, stake, worstImpliedOdds }, client = getDefaultClient()) {
+  const orders = await fetchOrders(marketHash, client);
+  const route = planTakerRoute(orders, { outcome, stake, worstImpliedOdds });
+
+  if (route.legs.length === 0) {
+    throw new Error(`No orders on outcome ${outcome} at or better than ${(worstImpliedOdds * 100).toFixed(2)}% implied`);
+  }
+
+  const fill = await fillOrder(route.legs.map(leg => leg.order), route.takerAmounts, client);
+  return { ...route, fill };
+}
@@ -0,0 +1,206 @@
+// heartbeat.js - Dead-man's switch that gets all maker orders cancelled when the process dies
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { getAccount } from '../common/signer.js';
+import { cancelAllOrders } from './orderCanceller.js';
+
+// Seconds without a renewal before the exchange cancels our orders
+export const DEFAULT_TIMEOUT_SECONDS = 30;
+
+// How long the cancel-all on exit may take before the process exits anyway
+const CANCEL_ON_EXIT_TIMEOUT_MS = 10000;
+
+// Heartbeat state
+let timer = null;
+let starting = false;
+let lastRenewal = null;
+let activeClient = null;
+let processHandlers = null;
+let shuttingDown = false;
+// Bumped on every start and stop, so a renewal still in flight never reschedules a stopped loop
+let generation = 0;
+
+/**
+ * Sends one heartbeat renewal
+ * @param {string} requestor - Account address
+ * @param {number} timeoutSeconds - Timeout registered with the exchange
+ */
+async function renew(requestor, timeoutSeconds) {
+  try {
+    await activeClient.postHeartbeat({ requestor, timeoutSeconds });
+    lastRenewal = Date.now();
+  } catch (error) {
+    console.error('Heartbeat renewal failed:', error.message);
+
+    if (lastRenewal && Date.now() - lastRenewal > timeoutSeconds * 1000) {
+      console.warn('Heartbeat has lapsed; the exchange may already have cancelled all orders');
+    }
+  }
+}
+
+/**
+ * Schedules the next renewal once the previous one has finished, so renewals never overlap
+ * @param {string} requestor - Account address
+ * @param {number} timeoutSeconds - Timeout registered with the exchange
+ * @param {number} intervalSeconds - Delay between the end of one renewal and the next
+ * @param {number} loop - Generation the loop was started in
+ */
+function scheduleRenewal(requestor, timeoutSeconds, intervalSeconds, loop) {
+  timer = setTimeout(async () => {
+    await renew(requestor, timeoutSeconds);
+    if (loop === generation) {
+      scheduleRenewal(requestor, timeoutSeconds, intervalSeconds, loop);
+    }
+  }, intervalSeconds * 1000);
+}
+
+/**
+ * Stops the renewal loop without touching the process handlers
+ * @returns {boolean} - True if a loop was running
+ */
+function stopRenewals() {
+  if (!timer) {
+    return false;
+  }
+  clearTimeout(timer);
+  timer = null;
+  generation += 1;
+  return true;
+}
+
+/**
+ * Cancels all orders and exits. Used for signals and crashes. A second signal, or a
+ * cancel-all that takes longer than CANCEL_ON_EXIT_TIMEOUT_MS, exits straight away.
+ * @param {string} reason - What triggered the shutdown
+ * @param {number} exitCode - Process exit code
+ */
+async function cancelAllAndExit(reason, exitCode) {
+  if (shuttingDown) {
+    console.error(`${reason}: exiting without waiting for the cancel-all`);
+    process.exit(exitCode);
+  }
+  shuttingDown = true;
+
+  console.log(`${reason}: cancelling all orders before exit...`);
+  stopRenewals();
+
+  let timeout;
+  try {
+    await Promise.race([
+      cancelAllOrders(activeClient || getDefaultClient()),
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(
+          () => reject(new Error(`no response after ${CANCEL_ON_EXIT_TIMEOUT_MS / 1000}s`)),
+          CANCEL_ON_EXIT_TIMEOUT_MS
+        );
+      })
+    ]);
+    console.log('All orders cancelled');
+  } catch (error) {
+    console.error('Cancel-all on exit failed:', error.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  process.exit(exitCode);
+}
+
+/**
+ * Installs process handlers that cancel all orders on SIGINT, SIGTERM and crashes.
+ * They stay installed only while a heartbeat is running (see removeProcessHandlers).
+ */
+function installProcessHandlers() {
+  if (processHandlers) {
+    return;
+  }
+
+  processHandlers = {
+    SIGINT: () => cancelAllAndExit('SIGINT received', 130),
+    SIGTERM: () => cancelAllAndExit('SIGTERM received', 143),
+    uncaughtException: (error) => {
+      console.error('Uncaught exception:', error);
+      cancelAllAndExit('Uncaught exception', 1);
+    },
+    unhandledRejection: (error) => {
+      console.error('Unhandled rejection:', error);
+      cancelAllAndExit('Unhandled rejection', 1);
+    }
+  };
+  for (const [event, handler] of Object.entries(processHandlers)) {
+    process.on(event, handler);
+  }
+}
+
+/**
+ * Removes the handlers added by installProcessHandlers, restoring the default signal behaviour
+ */
+function removeProcessHandlers() {
+  if (!processHandlers) {
+    return;
+  }
+  for (const [event, handler] of Object.entries(processHandlers)) {
+    process.off(event, handler);
+  }
+  processHandlers = null;
+}
+
+/**
+ * Registers a heartbeat with the exchange and keeps renewing it. If renewals stop
+ * (process killed, network lost) the exchange cancels all of the account's orders.
+ * Also cancels all orders locally on SIGINT/SIGTERM or an uncaught error.
+ * @param {Object} options - Options
+ * @param {number} options.timeoutSeconds - Exchange-side timeout (default: 30)
+ * @param {number} options.intervalSeconds - Renewal interval (default: a third of the timeout)
+ * @param {boolean} options.handleSignals - Install the local cancel-all fallback (default: true)
+ * @param {SXBetClient} options.client - API client (default: shared client)
+ * @returns {Promise<void>} - Resolves once the first heartbeat is registered
+ */
+export async function startHeartbeat({
+  timeoutSeconds = DEFAULT_TIMEOUT_SECONDS,
+  intervalSeconds = Math.max(1, Math.floor(timeoutSeconds / 3)),
+  handleSignals = true,
+  client = getDefaultClient()
+} = {}) {
+  if (timer || starting) {
+    throw new Error('Heartbeat is already running');
+  }
+  // Claimed before the first await, so a concurrent call can't start a second loop
+  starting = true;
+
+  try {
+    const { address: requestor } = getAccount();
+    activeClient = client;
+
+    // The first registration must succeed; later renewals are retried on the next tick
+    await client.postHeartbeat({ requestor, timeoutSeconds });
+    lastRenewal = Date.now();
+    console.log(`Heartbeat registered for ${requestor} (timeout ${timeoutSeconds}s, renewing every ${intervalSeconds}s)`);
+
+    generation += 1;
+    scheduleRenewal(requestor, timeoutSeconds, intervalSeconds, generation);
+
+    if (handleSignals) {
+      installProcessHandlers();
+    }
+  } finally {
+    starting = false;
+  }
+}
+
+/**
+ * Stops renewing the heartbeat and removes the local cancel-all handlers.
+ * The exchange cancels the account's orders once the timeout lapses.
+ */
+export function stopHeartbeat() {
+  removeProcessHandlers();
+  if (stopRenewals()) {
+    console.log('Heartbeat stopped');
+  }
+}
+
+/**
+ * Check if the heartbeat is currently being renewed
+ * @returns {boolean} - Heartbeat status
+ */
+export function isHeartbeatRunning() {
+  return timer !== null;
+}
@@ -1,8 +1,13 @@
 // index.js
 import readline from 'readline';
 import { postOrder } from './orderPoster.js';
-import { cancelOrders } from './orderCanceller.js';
-import { roundToNearestStep, apiOddsToReadable, impliedToDecimalOdds } from './oddsUtils.js';
+import { cancelOrders, cancelEventOrders, cancelMarketOrders, cancelAllOrders } from './orderCanceller.js';
+import { startHeartbeat, stopHeartbeat } from './heartbeat.js';
+import { toImpliedOdds, formatImpliedOdds } from '../common/odds.js';
+import { getOddsFormat, parseOdds, formatOdds, ODDS_FORMAT_LABELS, ODDS_FORMAT_EXAMPLES } from '../common/oddsFormat.js';
+
+// Odds format for prompts and output (--odds-format or SX_ODDS_FORMAT)
+const oddsFormat = getOddsFormat('implied');
 
 // Create readline interface
 const rl = readline.createInterface({
@@ -29,19 +34,18 @@ async function postNewOrder() {
       throw new Error('Invalid bet size. Must be a positive number.');
     }
     
-    const impliedOddsStr = await askQuestion('Enter implied odds (e.g., 0.5 for 50%): ');
-    const impliedOdds = parseFloat(impliedOddsStr);
-    
-    if (isNaN(impliedOdds) || impliedOdds <= 0 || impliedOdds >= 1) {
-      throw new Error('Invalid implied odds. Must be between 0 and 1.');
-    }
+    const oddsStr = await askQuestion(
+      `Enter ${ODDS_FORMAT_LABELS[oddsFormat].toLowerCase()} odds (e.g., ${ODDS_FORMAT_EXAMPLES[oddsFormat]}): `
+    );
     
-    // Round odds to nearest step on ladder
-    const roundedOddsAPI = roundToNearestStep(impliedOdds);
-    const roundedOddsReadable = apiOddsToReadable(roundedOddsAPI);
-    const decimalOdds = impliedToDecimalOdds(roundedOddsReadable);
+    // Convert to implied odds and round to nearest step on ladder
+    const roundedOddsAPI = parseOdds(oddsStr, oddsFormat, { ladder: true });
+    const roundedOddsReadable = toImpliedOdds(roundedOddsAPI);
     
-    console.log(`\nRounded odds: ${(roundedOddsReadable * 100).toFixed(2)}% implied (${decimalOdds.toFixed(2)} decimal)`);
+    const roundedDisplay = oddsFormat === 'implied'
+      ? `${formatImpliedOdds(roundedOddsAPI)} implied`
+      : `${formatOdds(roundedOddsAPI, oddsFormat)} ${ODDS_FORMAT_LABELS[oddsFormat].toLowerCase()} (${formatImpliedOdds(roundedOddsAPI)} implied)`;
+    console.log(`\nRounded odds: ${roundedDisplay}`);
     
     const confirmStr = await askQuestion('Proceed with posting order? (yes/no): ');
     if (confirmStr.toLowerCase() !== 'yes') {
@@ -49,19 +53,36 @@ async function postNewOrder() {
       return;
     }
     
+    // With a heartbeat, the exchange cancels ALL of the account's orders once this script stops
+    const heartbeatStr = await askQuestion('Keep orders alive only while this script runs (heartbeat)? (yes/no): ');
+    const useHeartbeat = heartbeatStr.toLowerCase() === 'yes';
+    if (useHeartbeat) {
+      await startHeartbeat();
+    }
+    
     console.log('\nPosting order...');
     
     // Post the order using the rounded odds
-    const response = await postOrder(
-      marketHash,
-      isMakerBettingOutcomeOne,
-      betSize,
-      roundedOddsReadable
-    );
+    let response;
+    try {
+      response = await postOrder(
+        marketHash,
+        isMakerBettingOutcomeOne,
+        betSize,
+        roundedOddsReadable
+      );
+    } catch (error) {
+      stopHeartbeat();
+      throw error;
+    }
     
     console.log('\nAPI Response:');
     console.log(JSON.stringify(response, null, 2));
     
+    if (useHeartbeat) {
+      console.log('\nHeartbeat is keeping the order alive; press Ctrl+C to cancel all orders and exit.');
+    }
+    
   } catch (error) {
     console.error(`Error posting order: ${error.message}`);
   }
@@ -95,15 +116,90 @@ async function cancelOrder() {
   }
 }
 
+async function cancelByEvent() {
+  try {
+    const eventId = (await askQuestion('Enter event ID: ')).trim();
+    
+    if (!eventId) {
+      throw new Error('Event ID is required.');
+    }
+    
+    const confirmStr = await askQuestion(`Proceed with cancelling all orders on event ${eventId}? (yes/no): `);
+    if (confirmStr.toLowerCase() !== 'yes') {
+      console.log('Order cancellation aborted.');
+      return;
+    }
+    
+    console.log('\nCancelling event orders...');
+    
+    const response = await cancelEventOrders(eventId);
+    
+    console.log('\nAPI Response:');
+    console.log(JSON.stringify(response, null, 2));
+    
+  } catch (error) {
+    console.error(`Error cancelling event orders: ${error.message}`);
+  }
+}
+
+async function cancelByMarket() {
+  try {
+    const marketHash = (await askQuestion('Enter market hash: ')).trim();
+    
+    if (!marketHash) {
+      throw new Error('Market hash is required.');
+    }
+    
+    const confirmStr = await askQuestion(`Proceed with cancelling all orders on market ${marketHash}? (yes/no): `);
+    if (confirmStr.toLowerCase() !== 'yes') {
+      console.log('Order cancellation aborted.');
+      return;
+    }
+    
+    console.log('\nCancelling market orders...');
+    
+    const response = await cancelMarketOrders(marketHash);
+    
+    console.log('\nAPI Response:');
+    console.log(JSON.stringify(response, null, 2));
+    
+  } catch (error) {
+    console.error(`Error cancelling market orders: ${error.message}`);
+  }
+}
+
+async function cancelEverything() {
+  try {
+    const confirmStr = await askQuestion('Cancel ALL of your open orders? (yes/no): ');
+    if (confirmStr.toLowerCase() !== 'yes') {
+      console.log('Order cancellation aborted.');
+      return;
+    }
+    
+    console.log('\nCancelling all orders...');
+    
+    const response = await cancelAllOrders();
+    
+    console.log('\nAPI Response:');
+    console.log(JSON.stringify(response, null, 2));
+    
+  } catch (error) {
+    console.error(`Error cancelling all orders: ${error.message}`);
+  }
+}
+
 async function main() {
   try {
     console.log('SX Bet Order Management');
     console.log('=======================');
     console.log('1. Post new order');
     console.log('2. Cancel order');
-    console.log('3. Exit');
+    console.log('3. Cancel all orders on an event');
+    console.log('4. Cancel all orders on a market');
+    console.log('5. Cancel ALL orders');
+    console.log('6. Exit');
     
-    const choice = await askQuestion('\nSelect an option (1-3): ');
+    const choice = await askQuestion('\nSelect an option (1-6): ');
     
     switch (choice) {
       case '1':
@@ -113,10 +209,19 @@ async function main() {
         await cancelOrder();
         break;
       case '3':
+        await cancelByEvent();
+        break;
+      case '4':
+        await cancelByMarket();
+        break;
+      case '5':
+        await cancelEverything();
+        break;
+      case '6':
         console.log('Exiting program.');
         break;
       default:
-        console.log('Invalid option. Please select 1, 2, or 3.');
+        console.log('Invalid option. Please select 1-6.');
         break;
     }
   } catch (error) {
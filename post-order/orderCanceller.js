@@ -2,26 +2,49 @@
 import { ethers } from 'ethers';
 import { signTypedData, SignTypedDataVersion } from '@metamask/eth-sig-util';
 import dotenv from 'dotenv';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { getAccount } from '../common/signer.js';
 
 dotenv.config();
 
 const CONSTANTS = {
-  MAKER: '0xa6fa134f76496300419E6dbee487239F09d247aE',
-  CHAIN_ID: 4162,
-  DOMAIN_NAME: 'CancelOrderV2SportX',
-  DOMAIN_VERSION: '1.0',
-  CHAIN_VERSION: 'SXR',
-  API_ENDPOINT: 'https://api.sx.bet/orders/cancel/v2'
+  DOMAIN_VERSION: '1.0'
+};
+
+// EIP712 domain name and Details fields for each cancel flow
+const CANCEL_TYPES = {
+  orders: {
+    domainName: 'CancelOrderV2SportX',
+    details: [
+      { name: 'orderHashes', type: 'string[]' },
+      { name: 'timestamp', type: 'uint256' },
+    ],
+  },
+  event: {
+    domainName: 'CancelOrderEventsSportX',
+    details: [
+      { name: 'sportXeventId', type: 'string' },
+      { name: 'timestamp', type: 'uint256' },
+    ],
+  },
+  all: {
+    domainName: 'CancelAllOrdersSportX',
+    details: [
+      { name: 'timestamp', type: 'uint256' },
+    ],
+  },
 };
 
 /**
- * Creates EIP712 payload for order cancellation
- * @param {string[]} orderHashes - Array of order hashes to cancel
+ * Creates EIP712 payload for a cancel request
+ * @param {string} kind - Cancel flow: 'orders', 'event' or 'all'
+ * @param {object} details - Flow-specific message fields (without timestamp)
  * @param {string} salt - Random salt as hex string
  * @param {number} timestamp - Current timestamp in seconds
+ * @param {number} chainId - Chain ID of the selected network
  * @returns {object} - EIP712 typed data
  */
-function getCancelOrderEIP712Payload(orderHashes, salt, timestamp) {
+function getCancelEIP712Payload(kind, details, salt, timestamp, chainId) {
   const payload = {
     types: {
       EIP712Domain: [
@@ -30,20 +53,17 @@ function getCancelOrderEIP712Payload(orderHashes, salt, timestamp) {
         { name: 'chainId', type: 'uint256' },
         { name: 'salt', type: 'bytes32' },
       ],
-      Details: [
-        { name: 'orderHashes', type: 'string[]' },
-        { name: 'timestamp', type: 'uint256' },
-      ],
+      Details: CANCEL_TYPES[kind].details,
     },
     primaryType: 'Details',
     domain: {
-      name: CONSTANTS.DOMAIN_NAME,
+      name: CANCEL_TYPES[kind].domainName,
       version: CONSTANTS.DOMAIN_VERSION,
-      chainId: CONSTANTS.CHAIN_ID,
+      chainId,
       salt,
     },
     message: { 
-      orderHashes, 
+      ...details, 
       timestamp 
     },
   };
@@ -51,64 +71,113 @@ function getCancelOrderEIP712Payload(orderHashes, salt, timestamp) {
   return payload;
 }
 
+/**
+ * Signs a cancel request with the configured account
+ * @param {string} kind - Cancel flow: 'orders', 'event' or 'all'
+ * @param {object} details - Flow-specific message fields (without timestamp)
+ * @param {number} chainId - Chain ID of the selected network
+ * @returns {{ signature: string, salt: string, maker: string, timestamp: number }} - Signed fields for the API payload
+ */
+export function signCancelRequest(kind, details, chainId) {
+  // Maker address always comes from the signing key
+  const { wallet, address: maker } = getAccount();
+  
+  // Strip '0x' prefix for @metamask/eth-sig-util
+  const bufferPrivateKey = Buffer.from(wallet.privateKey.substring(2), 'hex');
+  
+  // Generate random salt
+  const salt = `0x${Buffer.from(ethers.randomBytes(32)).toString('hex')}`;
+  
+  // Current timestamp in seconds
+  const timestamp = Math.floor(Date.now() / 1000);
+  
+  // Create payload for signing
+  const payload = getCancelEIP712Payload(kind, details, salt, timestamp, chainId);
+  
+  // Sign the payload
+  const signature = signTypedData({
+    privateKey: bufferPrivateKey,
+    data: payload,
+    version: SignTypedDataVersion.V4,
+  });
+  
+  return { signature, salt, maker, timestamp };
+}
+
 /**
  * Cancels orders on the SX Bet exchange
  * @param {string[]} orderHashes - Array of order hashes to cancel
- * @returns {Promise<object>} - API response
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<object>} - API response data
  */
-export async function cancelOrders(orderHashes) {
+export async function cancelOrders(orderHashes, client = getDefaultClient()) {
   try {
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-      throw new Error('PRIVATE_KEY not found in .env file');
-    }
-    
-    // Strip '0x' prefix if present for @metamask/eth-sig-util
-    const bufferPrivateKey = Buffer.from(
-      privateKey.startsWith('0x') ? privateKey.substring(2) : privateKey, 
-      'hex'
-    );
-    
-    // Generate random salt
-    const salt = `0x${Buffer.from(ethers.randomBytes(32)).toString('hex')}`;
-    
-    // Current timestamp in seconds
-    const timestamp = Math.floor(Date.now() / 1000);
-    
-    // Create payload for signing
-    const payload = getCancelOrderEIP712Payload(orderHashes, salt, timestamp);
-    
-    // Sign the payload
-    const signature = signTypedData({
-      privateKey: bufferPrivateKey,
-      data: payload,
-      version: SignTypedDataVersion.V4,
-    });
+    const signed = signCancelRequest('orders', { orderHashes }, client.network.chainId);
     
-    // Create API payload
-    const apiPayload = {
-      signature,
-      orderHashes,
-      salt,
-      maker: CONSTANTS.MAKER,
-      timestamp,
-    };
+    // Send request to API
+    return await client.cancelOrders({ ...signed, orderHashes });
+  } catch (error) {
+    console.error('Error cancelling orders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancels all of the account's orders on an event
+ * @param {string} eventId - SportX event ID
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<object>} - API response data
+ */
+export async function cancelEventOrders(eventId, client = getDefaultClient()) {
+  try {
+    const signed = signCancelRequest('event', { sportXeventId: eventId }, client.network.chainId);
     
-    // Add chain version query parameter if not default
-    const queryParams = CONSTANTS.CHAIN_VERSION ? 
-      `?chainVersion=${CONSTANTS.CHAIN_VERSION}` : '';
+    // Send request to API
+    return await client.cancelEventOrders({ ...signed, eventId });
+  } catch (error) {
+    console.error('Error cancelling event orders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancels every open order of the account
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<object>} - API response data
+ */
+export async function cancelAllOrders(client = getDefaultClient()) {
+  try {
+    const signed = signCancelRequest('all', {}, client.network.chainId);
     
     // Send request to API
-    const response = await fetch(`${CONSTANTS.API_ENDPOINT}${queryParams}`, {
-      method: 'POST',
-      body: JSON.stringify(apiPayload),
-      headers: { 'Content-Type': 'application/json' },
-    });
+    return await client.cancelAllOrders(signed);
+  } catch (error) {
+    console.error('Error cancelling all orders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancels all of the account's orders on the given market(s).
+ * The exchange has no market-level cancel endpoint, so this looks up the account's
+ * open orders on those markets and cancels them by hash in one signed request.
+ * @param {string|string[]} marketHashes - Single market hash or array of market hashes
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<object>} - API response data, or { cancelledCount: 0 } when nothing was open
+ */
+export async function cancelMarketOrders(marketHashes, client = getDefaultClient()) {
+  try {
+    const { address: maker } = getAccount();
+    const orders = await client.getOrders({ marketHashes, maker });
+    const orderHashes = orders.map(order => order.orderHash);
     
-    const data = await response.json();
-    return data;
+    if (orderHashes.length === 0) {
+      return { cancelledCount: 0 };
+    }
+    
+    return await cancelOrders(orderHashes, client);
   } catch (error) {
-    console.error('Error cancelling orders:', error);
+    console.error('Error cancelling market orders:', error);
     throw error;
   }
 }
\ No newline at end of file
@@ -1,99 +1,211 @@
 // orderPoster.js
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { requireNetworkValue } from '../common/networks.js';
+import { getAccount } from '../common/signer.js';
+import { SXBetApiError } from '../common/errors.js';
+import { loadValidationContext, validateOrderSpec } from './orderValidator.js';
+import { parseAmount, parseImpliedOdds } from '../common/odds.js';
 
 dotenv.config();
 
-const CONSTANTS = {
-  MAKER: '0xa6fa134f76496300419E6dbee487239F09d247aE',
-  EXECUTOR: '0x52adf738AAD93c31f798a30b2C74D658e1E9a562',
-  BASE_TOKEN: '0x6629Ce1Cf35Cc1329ebB4F63202F3f197b3F050B',
-  API_ENDPOINT: 'https://api.sx.bet/orders/new'
-};
+// Default number of orders sent in a single /orders/new request. The API docs don't state a
+// limit, so this is a conservative guess; pass options.batchSize to postOrders to change it.
+export const MAX_ORDERS_PER_REQUEST = 100;
+
+// HTTP statuses the API uses for orders that failed its checks; only these split a batch
+const VALIDATION_ERROR_STATUSES = [400, 422];
+
+/**
+ * Builds, hashes and signs a single order
+ * @param {Object} spec - Order spec
+ * @param {string} spec.marketHash - The market hash to bet on
+ * @param {boolean} spec.isMakerBettingOutcomeOne - True if betting on outcome one, false for outcome two
+ * @param {number} spec.betSize - Bet size in USDC (e.g., 10 for 10 USDC)
+ * @param {number} spec.impliedOdds - Desired implied odds (e.g., 0.5 for 50%)
+ * @param {number} spec.apiExpiry - API expiry in seconds (default: one hour from now)
+ * @param {ethers.Wallet} wallet - Signing wallet (its address is the maker)
+ * @param {Object} network - Network profile supplying base token and executor
+ * @returns {Promise<{ signedOrder: object, orderHash: string }>} - Signed order and its hash
+ */
+export async function createSignedOrder(spec, wallet, network) {
+  const { marketHash, isMakerBettingOutcomeOne, betSize, impliedOdds } = spec;
+  
+  // Convert USDC amount to correct units (6 decimals for USDC)
+  const totalBetSize = parseAmount(betSize).toString();
+  
+  // Convert implied odds to the format needed for the API
+  // Implied odds are represented with 20 decimals (10^20)
+  const percentageOdds = parseImpliedOdds(impliedOdds).toString();
+  
+  // Current time + 1 hour for API expiry unless specified
+  const apiExpiry = spec.apiExpiry !== undefined ? spec.apiExpiry : Math.floor(Date.now() / 1000) + 3600;
+  
+  // Create order object
+  const order = {
+    marketHash,
+    maker: wallet.address,
+    totalBetSize,
+    percentageOdds,
+    baseToken: requireNetworkValue(network, 'baseToken'),
+    apiExpiry,
+    expiry: 2209006800, // Deprecated but required
+    executor: requireNetworkValue(network, 'executor'),
+    isMakerBettingOutcomeOne,
+    salt: ethers.hexlify(ethers.randomBytes(32)),
+  };
+
+  // Generate order hash
+  const orderHash = ethers.solidityPackedKeccak256(
+    [
+      'bytes32',
+      'address',
+      'uint256',
+      'uint256',
+      'uint256',
+      'uint256',
+      'address',
+      'address',
+      'bool',
+    ],
+    [
+      order.marketHash,
+      order.baseToken,
+      order.totalBetSize,
+      order.percentageOdds,
+      order.expiry,
+      order.salt,
+      order.maker,
+      order.executor,
+      order.isMakerBettingOutcomeOne,
+    ]
+  );
+
+  // Sign the order hash
+  const signature = await wallet.signMessage(ethers.getBytes(orderHash));
+  
+  // Combine order with signature
+  return { signedOrder: { ...order, signature }, orderHash };
+}
 
 /**
- * Creates and posts a new order to the SX Bet exchange
+ * Creates and posts a new order to the SX Bet exchange.
+ * The order is validated first; a failed check throws an OrderValidationError and nothing is sent.
  * @param {string} marketHash - The market hash to bet on
  * @param {boolean} isMakerBettingOutcomeOne - True if betting on outcome one, false for outcome two
  * @param {number} betSizeUSDC - Bet size in USDC (e.g., 10 for 10 USDC)
  * @param {number} impliedOdds - Desired implied odds (e.g., 0.5 for 50%)
- * @returns {Promise<object>} - API response
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<object>} - API response data ({ orders: [orderHash] })
  */
-export async function postOrder(marketHash, isMakerBettingOutcomeOne, betSizeUSDC, impliedOdds) {
+export async function postOrder(marketHash, isMakerBettingOutcomeOne, betSizeUSDC, impliedOdds, client = getDefaultClient()) {
   try {
-    // Convert USDC amount to correct units (6 decimals for USDC)
-    const totalBetSize = ethers.parseUnits(betSizeUSDC.toString(), 6).toString();
+    // Maker address always comes from the signing key
+    const { wallet } = getAccount();
     
-    // Convert implied odds to the format needed for the API
-    // Implied odds are represented with 20 decimals (10^20)
-    const percentageOdds = ethers.parseUnits(impliedOdds.toString(), 20).toString();
+    const spec = { marketHash, isMakerBettingOutcomeOne, betSize: betSizeUSDC, impliedOdds };
+    const context = await loadValidationContext([marketHash], client);
+    validateOrderSpec(spec, context);
     
-    // Current time + 1 hour for API expiry
-    const apiExpiry = Math.floor(Date.now() / 1000) + 3600;
-    
-    // Create order object
-    const order = {
-      marketHash,
-      maker: CONSTANTS.MAKER,
-      totalBetSize,
-      percentageOdds,
-      baseToken: CONSTANTS.BASE_TOKEN,
-      apiExpiry,
-      expiry: 2209006800, // Deprecated but required
-      executor: CONSTANTS.EXECUTOR,
-      isMakerBettingOutcomeOne,
-      salt: ethers.hexlify(ethers.randomBytes(32)),
-    };
+    const { signedOrder } = await createSignedOrder(spec, wallet, client.network);
 
-    // Generate order hash
-    const orderHash = ethers.solidityPackedKeccak256(
-      [
-        'bytes32',
-        'address',
-        'uint256',
-        'uint256',
-        'uint256',
-        'uint256',
-        'address',
-        'address',
-        'bool',
-      ],
-      [
-        order.marketHash,
-        order.baseToken,
-        order.totalBetSize,
-        order.percentageOdds,
-        order.expiry,
-        order.salt,
-        order.maker,
-        order.executor,
-        order.isMakerBettingOutcomeOne,
-      ]
-    );
+    // Post to API
+    return await client.postOrders([signedOrder]);
+  } catch (error) {
+    console.error('Error posting order:', error);
+    throw error;
+  }
+}
 
-    // Sign the order hash
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-      throw new Error('PRIVATE_KEY not found in .env file');
+/**
+ * Validates, builds, signs and posts many orders in as few requests as possible.
+ * Orders that fail validation or signing are rejected without being sent. If the API rejects a
+ * batch as invalid, its orders are re-posted one by one so each gets its own reason. After a
+ * server or network error the outcome is unknown: the orders may have been accepted anyway.
+ * @param {Object[]} specs - Order specs (see createSignedOrder)
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @param {Object} options - Options
+ * @param {number} options.batchSize - Orders per request (default: MAX_ORDERS_PER_REQUEST)
+ * @returns {Promise<Object[]>} - One result per spec, in input order:
+ *   { spec, status: 'posted', orderHash }, { spec, status: 'rejected', orderHash?, reason, code? }
+ *   or { spec, status: 'unknown', orderHash, reason }
+ */
+export async function postOrders(specs, client = getDefaultClient(), { batchSize = MAX_ORDERS_PER_REQUEST } = {}) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`batchSize must be a positive integer, got ${batchSize}`);
+  }
+  if (specs.length === 0) {
+    return [];
+  }
+  
+  // Maker address always comes from the signing key
+  const { wallet } = getAccount();
+  
+  const results = new Array(specs.length);
+  const pending = [];
+  const context = await loadValidationContext(specs.map(spec => spec.marketHash), client);
+  
+  // Validate, build and sign every order up front
+  for (let i = 0; i < specs.length; i++) {
+    try {
+      validateOrderSpec(specs[i], context);
+      const { signedOrder, orderHash } = await createSignedOrder(specs[i], wallet, client.network);
+      pending.push({ index: i, signedOrder, orderHash });
+    } catch (error) {
+      results[i] = { spec: specs[i], status: 'rejected', reason: error.message, code: error.code };
     }
-    
-    const wallet = new ethers.Wallet(privateKey);
-    const signature = await wallet.signMessage(ethers.getBytes(orderHash));
-    
-    // Combine order with signature
-    const signedOrder = { ...order, signature };
+  }
+  
+  for (let i = 0; i < pending.length; i += batchSize) {
+    await postBatch(pending.slice(i, i + batchSize), specs, results, client);
+  }
+  
+  return results;
+}
 
-    // Post to API
-    const response = await fetch(CONSTANTS.API_ENDPOINT, {
-      method: 'POST',
-      body: JSON.stringify({ orders: [signedOrder] }),
-      headers: { 'Content-Type': 'application/json' },
+/**
+ * Posts one batch of signed orders and records a result for each
+ * @param {Object[]} batch - Entries of { index, signedOrder, orderHash }
+ * @param {Object[]} specs - Original specs (for the results)
+ * @param {Object[]} results - Results array to fill in
+ * @param {SXBetClient} client - API client
+ */
+async function postBatch(batch, specs, results, client) {
+  try {
+    const data = await client.postOrders(batch.map(entry => entry.signedOrder));
+    const postedHashes = (data && data.orders) || [];
+    
+    batch.forEach((entry, i) => {
+      results[entry.index] = {
+        spec: specs[entry.index],
+        status: 'posted',
+        orderHash: postedHashes[i] || entry.orderHash
+      };
     });
-
-    const data = await response.json();
-    return data;
   } catch (error) {
-    console.error('Error posting order:', error);
-    throw error;
+    const isApiError = error instanceof SXBetApiError;
+    
+    // A batch that failed validation may be caused by a single order: isolate it.
+    // A 200 with a non-success body is the API refusing the orders too.
+    const isValidationError = isApiError && (VALIDATION_ERROR_STATUSES.includes(error.status) || error.status < 300);
+    if (batch.length > 1 && isValidationError) {
+      for (const entry of batch) {
+        await postBatch([entry], specs, results, client);
+      }
+      return;
+    }
+    
+    // Other 4xx errors (auth, rate limit) refused the request; after a 5xx or network
+    // error the server may still have accepted the orders
+    const status = isApiError && error.status < 500 ? 'rejected' : 'unknown';
+    batch.forEach(entry => {
+      results[entry.index] = {
+        spec: specs[entry.index],
+        status,
+        orderHash: entry.orderHash,
+        reason: error.message
+      };
+    });
   }
-}
\ No newline at end of file
+}
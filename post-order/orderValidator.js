@@ -0,0 +1,99 @@
+// orderValidator.js - Pre-flight checks for new orders, run before anything is signed
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { fetchMarketsByHash } from '../common/marketTypes.js';
+import {
+  OddsLadderError,
+  MinimumSizeError,
+  MarketStateError,
+  ApiExpiryError
+} from '../common/errors.js';
+import {
+  checkOddsLadderValid,
+  ODDS_LADDER_STEP_SIZE,
+  parseImpliedOdds,
+  parseAmount,
+  toNominalAmount
+} from '../common/odds.js';
+
+// apiExpiry must be at least this far in the future (seconds)
+export const MIN_API_EXPIRY_SECONDS = 10;
+
+// apiExpiry may be at most this far in the future (seconds)
+export const MAX_API_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Fetches what validation needs: exchange metadata and the targeted markets
+ * @param {string[]} marketHashes - Markets the orders will be posted on
+ * @param {SXBetClient} client - API client (default: shared client)
+ * @returns {Promise<Object>} - Validation context ({ metadata, markets, baseToken })
+ */
+export async function loadValidationContext(marketHashes, client = getDefaultClient()) {
+  const [metadata, markets] = await Promise.all([
+    client.getMetadata(),
+    fetchMarketsByHash(marketHashes, client)
+  ]);
+
+  return { metadata, markets, baseToken: client.baseToken };
+}
+
+/**
+ * Validates an order spec against the odds ladder, minimum size, market state and expiry bounds
+ * @param {Object} spec - Order spec ({ marketHash, betSize, impliedOdds, apiExpiry? })
+ * @param {Object} context - Validation context from loadValidationContext
+ * @param {number} now - Current time in seconds (default: now)
+ * @throws {OrderValidationError} - Typed error describing the first failed check
+ */
+export function validateOrderSpec(spec, context, now = Math.floor(Date.now() / 1000)) {
+  const { metadata, markets, baseToken } = context;
+
+  // Odds must be strictly between 0 and 1 and on the ladder
+  if (!(spec.impliedOdds > 0 && spec.impliedOdds < 1)) {
+    throw new OddsLadderError(`Implied odds ${spec.impliedOdds} must be between 0 and 1`);
+  }
+  const stepSize = metadata.oddsLadderStepSize || ODDS_LADDER_STEP_SIZE;
+  const percentageOdds = parseImpliedOdds(spec.impliedOdds);
+  if (!checkOddsLadderValid(percentageOdds, stepSize)) {
+    throw new OddsLadderError(
+      `Implied odds ${spec.impliedOdds} are not on the odds ladder (step ${stepSize / 100}%)`
+    );
+  }
+
+  // Size must be positive and meet the minimum maker size for the base token
+  if (!(spec.betSize > 0)) {
+    throw new MinimumSizeError(`Bet size ${spec.betSize} must be a positive number`);
+  }
+  const totalBetSize = parseAmount(spec.betSize);
+  const minimums = metadata.makerOrderMinimum || {};
+  const minimumKey = Object.keys(minimums).find(token => token.toLowerCase() === String(baseToken).toLowerCase());
+  if (minimumKey && totalBetSize < BigInt(minimums[minimumKey])) {
+    throw new MinimumSizeError(
+      `Bet size ${spec.betSize} is below the minimum maker size of ${toNominalAmount(minimums[minimumKey])}`
+    );
+  }
+
+  // Market must exist, be active and not have started
+  const market = markets.get(spec.marketHash);
+  if (!market) {
+    throw new MarketStateError(`Market ${spec.marketHash} not found`);
+  }
+  if (market.status !== 'ACTIVE') {
+    throw new MarketStateError(`Market ${spec.marketHash} is not active (status: ${market.status})`);
+  }
+  if (market.gameTime && market.gameTime <= now) {
+    throw new MarketStateError(`Market ${spec.marketHash} has already started`);
+  }
+
+  // apiExpiry must fall within the allowed window
+  if (spec.apiExpiry !== undefined) {
+    if (!Number.isInteger(spec.apiExpiry) || spec.apiExpiry < now + MIN_API_EXPIRY_SECONDS) {
+      throw new ApiExpiryError(
+        `apiExpiry ${spec.apiExpiry} must be at least ${MIN_API_EXPIRY_SECONDS} seconds in the future`
+      );
+    }
+    if (spec.apiExpiry > now + MAX_API_EXPIRY_SECONDS) {
+      throw new ApiExpiryError(
+        `apiExpiry ${spec.apiExpiry} is more than ${MAX_API_EXPIRY_SECONDS / 3600} hours in the future`
+      );
+    }
+  }
+}
@@ -7,13 +7,24 @@ import {
   initialize, 
   subscribeToOrderBook, 
   unsubscribeFromOrderBook, 
+  unsubscribeFromAll,
+  subscribeToMakerEvents,
+  unsubscribeFromMakerEvents,
   isSubscribedToChannel,
+  getSubscriptions,
+  getOrderBook,
   closeConnection
 } from './websocket.js';
+import { replayRecording } from './replay.js';
+import { DEFAULT_RECORDING_DIR, configureRecorder } from './recorder.js';
+import { toNominalAmount, formatImpliedOdds, formatDecimalOdds } from '../common/odds.js';
 
 // Load environment variables
 dotenv.config();
 
+// Record channel traffic only when asked to (node index.js --record)
+const recording = process.argv.slice(2).includes('--record');
+
 // Create readline interface
 const rl = readline.createInterface({
   input: process.stdin,
@@ -27,12 +38,15 @@ function showMenu() {
   console.clear();
   console.log('===== SX Bet API Websocket Module =====');
   console.log('1. Subscribe to order_book channel');
-  console.log('2. Unsubscribe from current channel');
-  console.log('3. Check subscription status');
-  console.log('4. Exit');
+  console.log('2. Subscribe to my order and trade events');
+  console.log('3. Unsubscribe from a channel');
+  console.log('4. Unsubscribe from all channels');
+  console.log('5. Check subscription status');
+  console.log('6. View order book');
+  console.log('7. Exit');
   console.log('======================================');
   
-  rl.question('Select an option (1-4): ', handleMenuSelection);
+  rl.question('Select an option (1-7): ', handleMenuSelection);
 }
 
 /**
@@ -45,12 +59,21 @@ async function handleMenuSelection(choice) {
       await handleSubscribe();
       break;
     case '2':
-      await handleUnsubscribe();
+      await handleMakerEvents();
       break;
     case '3':
-      checkStatus();
+      await handleUnsubscribe();
       break;
     case '4':
+      await handleUnsubscribeAll();
+      break;
+    case '5':
+      checkStatus();
+      break;
+    case '6':
+      await showOrderBook();
+      break;
+    case '7':
       await exitApplication();
       return;
     default:
@@ -61,11 +84,13 @@ async function handleMenuSelection(choice) {
 }
 
 /**
- * Handle subscription to order_book channel
+ * Handle subscription to one or more order_book channels
  */
 async function handleSubscribe() {
-  rl.question('Enter market hash: ', async (marketHash) => {
-    if (!marketHash) {
+  rl.question('Enter market hash(es), comma-separated: ', async (input) => {
+    const marketHashes = input.split(',').map(hash => hash.trim()).filter(Boolean);
+    
+    if (marketHashes.length === 0) {
       console.log('Market hash is required.');
       setTimeout(() => {
         rl.question('Press Enter to continue...', showMenu);
@@ -77,13 +102,21 @@ async function handleSubscribe() {
     
     try {
       await initialize();
-      const success = await subscribeToOrderBook(marketHash);
+      let subscribed = 0;
+      
+      for (const marketHash of marketHashes) {
+        if (await subscribeToOrderBook(marketHash)) {
+          subscribed++;
+        } else {
+          console.log(`Failed to subscribe to the channel for ${marketHash}.`);
+        }
+      }
       
-      if (success) {
-        console.log('Subscribed successfully.');
-        console.log('Websocket messages are being logged to websocket_logs.txt');
-      } else {
-        console.log('Failed to subscribe to the channel.');
+      if (subscribed > 0) {
+        console.log(`Subscribed successfully to ${subscribed} channel(s).`);
+        if (recording) {
+          console.log(`Websocket messages are being recorded to ${DEFAULT_RECORDING_DIR}`);
+        }
       }
     } catch (error) {
       console.error('Error:', error.message);
@@ -96,7 +129,61 @@ async function handleSubscribe() {
 }
 
 /**
- * Handle unsubscribing from the current channel
+ * Handle subscription to the account's active_orders and trade events
+ */
+async function handleMakerEvents() {
+  console.log('Connecting to SX Bet API...');
+  
+  try {
+    await initialize();
+    const tracker = await subscribeToMakerEvents();
+    
+    if (tracker.listenerCount('event') === 0) {
+      tracker.on('event', (event) => {
+        const amount = event.fillAmount !== undefined ? ` | ${toNominalAmount(event.fillAmount, 6, 2)} USDC` : '';
+        console.log(`\n[${event.type}] ${event.orderHash}${amount}`);
+      });
+    }
+    
+    console.log('Order and trade events will be printed as they arrive.');
+  } catch (error) {
+    console.error('Error:', error.message);
+  }
+  
+  setTimeout(() => {
+    rl.question('Press Enter to continue...', showMenu);
+  }, 1500);
+}
+
+/**
+ * Ask the user to pick one of the active subscriptions
+ * @param {string[]} types Subscription types to offer
+ * @returns {Promise<Object|null>} Selected subscription, or null when there are none
+ */
+function selectSubscription(types) {
+  const subscriptions = getSubscriptions().filter(subscription => types.includes(subscription.type));
+  
+  if (subscriptions.length === 0) {
+    return Promise.resolve(null);
+  }
+  
+  if (subscriptions.length === 1) {
+    return Promise.resolve(subscriptions[0]);
+  }
+  
+  subscriptions.forEach((subscription, index) => {
+    console.log(`${index + 1}. ${subscription.channelName}`);
+  });
+  
+  return new Promise((resolve) => {
+    rl.question(`Select a channel (1-${subscriptions.length}): `, (answer) => {
+      resolve(subscriptions[parseInt(answer, 10) - 1] || null);
+    });
+  });
+}
+
+/**
+ * Handle unsubscribing from one channel
  */
 async function handleUnsubscribe() {
   if (!isSubscribedToChannel()) {
@@ -108,7 +195,14 @@ async function handleUnsubscribe() {
   }
   
   try {
-    const success = await unsubscribeFromOrderBook();
+    const subscription = await selectSubscription(['order_book', 'active_orders']);
+    let success = false;
+    
+    if (subscription && subscription.type === 'order_book') {
+      success = await unsubscribeFromOrderBook(subscription.marketHash);
+    } else if (subscription) {
+      success = await unsubscribeFromMakerEvents(subscription.maker);
+    }
     if (success) {
       console.log('Unsubscribed successfully.');
     } else {
@@ -123,21 +217,134 @@ async function handleUnsubscribe() {
   }, 1500);
 }
 
+/**
+ * Handle unsubscribing from every channel
+ */
+async function handleUnsubscribeAll() {
+  try {
+    const count = await unsubscribeFromAll();
+    console.log(`Unsubscribed from ${count} channel(s).`);
+  } catch (error) {
+    console.error('Error:', error.message);
+  }
+  
+  setTimeout(() => {
+    rl.question('Press Enter to continue...', showMenu);
+  }, 1500);
+}
+
 /**
  * Check current subscription status
  */
 function checkStatus() {
-  const status = isSubscribedToChannel() 
-    ? 'Currently subscribed to an order_book channel.' 
-    : 'Not currently subscribed to any channel.';
+  const subscriptions = getSubscriptions();
+  
+  if (subscriptions.length === 0) {
+    console.log('Not currently subscribed to any channel.');
+  } else {
+    console.log(`Active subscriptions (${subscriptions.length}):`);
+    subscriptions.forEach(subscription => {
+      const orders = subscription.orderCount !== undefined ? ` | ${subscription.orderCount} orders` : '';
+      console.log(`  ${subscription.channelName} | since ${subscription.subscribedAt.toLocaleTimeString()}${orders}`);
+    });
+  }
+  
+  setTimeout(() => {
+    rl.question('Press Enter to continue...', showMenu);
+  }, 1500);
+}
+
+/**
+ * Print best odds and depth for both outcomes of an order book
+ * @param {OrderBook} book Order book
+ */
+function printOrderBook(book) {
+  console.log(`\nOrder book for ${book.marketHash} (${book.getOrders().length} orders)`);
+  
+  for (const outcome of [1, 2]) {
+    const depth = book.getDepth(outcome);
+    console.log(`\nOutcome ${outcome}:`);
+    
+    if (depth.length === 0) {
+      console.log('  No liquidity');
+      continue;
+    }
+    
+    depth.forEach(level => {
+      console.log(
+        `  ${formatImpliedOdds(level.takerOdds)} (${formatDecimalOdds(level.takerOdds)}) | ` +
+        `${toNominalAmount(level.takerSpace, 6, 2)} USDC | ${level.orderCount} order(s)`
+      );
+    });
+  }
+}
+
+/**
+ * Display best odds and depth for both outcomes of a subscribed market
+ */
+async function showOrderBook() {
+  const subscription = await selectSubscription(['order_book']);
+  const book = subscription ? getOrderBook(subscription.marketHash) : null;
   
-  console.log(status);
+  if (!book) {
+    console.log('Not currently subscribed to any channel.');
+  } else {
+    printOrderBook(book);
+  }
   
   setTimeout(() => {
     rl.question('Press Enter to continue...', showMenu);
   }, 1500);
 }
 
+/**
+ * Replay a recording and print the resulting order books
+ * Usage: node index.js replay [file or directory] [--speed 10] [--until 2025-04-01T19:30:00Z] [--market hash]
+ * @param {string[]} args Command line arguments after "replay"
+ */
+async function runReplay(args) {
+  const options = { speed: 0 };
+  let source = DEFAULT_RECORDING_DIR;
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--speed':
+        options.speed = args[++i] === 'max' ? 0 : parseFloat(args[i]);
+        break;
+      case '--until':
+        options.until = args[++i];
+        break;
+      case '--market':
+        options.marketHash = args[++i];
+        break;
+      default:
+        source = args[i];
+    }
+  }
+  
+  if (Number.isNaN(options.speed) || options.speed < 0) {
+    throw new Error('--speed must be a positive number or "max"');
+  }
+  if (options.until && Number.isNaN(new Date(options.until).getTime())) {
+    throw new Error(`Invalid --until time: ${options.until}`);
+  }
+  
+  if (options.speed > 0) {
+    options.onRecord = (record) => {
+      console.log(`[${record.receivedAt}] ${record.type} ${record.channel}`);
+    };
+  }
+  
+  console.log(`Replaying ${source}${options.speed > 0 ? ` at ${options.speed}x` : ''}...`);
+  const { orderBooks, makers, records } = await replayRecording(source, options);
+  console.log(`Replayed ${records} record(s)`);
+  
+  orderBooks.forEach(printOrderBook);
+  makers.forEach((tracker, maker) => {
+    console.log(`\nMaker ${maker}: ${tracker.orders.size} active order(s)`);
+  });
+}
+
 /**
  * Exit the application
  */
@@ -151,6 +358,20 @@ async function exitApplication() {
 
 // Start the application
 (async function main() {
+  if (process.argv[2] === 'replay') {
+    rl.close();
+    try {
+      await runReplay(process.argv.slice(3));
+    } catch (error) {
+      console.error('Replay failed:', error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  
   console.log('Starting SX Bet API Websocket Module...');
+  if (recording) {
+    configureRecorder({ enabled: true });
+  }
   showMenu();
 })();
\ No newline at end of file
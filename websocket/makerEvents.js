@@ -0,0 +1,125 @@
+// makerEvents.js - Turns active_orders and recent_trades channel messages into typed maker events
+import { EventEmitter } from 'events';
+import { parseOrderBookUpdate, ACTIVE_ORDER_UPDATE_FIELDS } from './orderBook.js';
+
+// Event types emitted by MakerEventTracker
+export const MAKER_EVENT_TYPES = {
+  ORDER_POSTED: 'order_posted',
+  ORDER_FILLED: 'order_filled',
+  ORDER_CANCELLED: 'order_cancelled',
+  TRADE_FILLED: 'trade_filled',
+  TRADE_SETTLED: 'trade_settled',
+  TRADE_FAILED: 'trade_failed'
+};
+
+/**
+ * Tracks a maker's orders and trades from websocket messages and emits typed events.
+ * Every event is emitted under its own type and under 'event'.
+ *
+ * Order events: { type, orderHash, marketHash, order } plus, for fills,
+ * fillAmount (this fill, base units), totalFilled and isFullyFilled.
+ * Trade events: { type, orderHash, marketHash, fillHash, trade }.
+ */
+export class MakerEventTracker extends EventEmitter {
+  /**
+   * @param {string} maker - Maker address to track
+   */
+  constructor(maker) {
+    super();
+    this.maker = maker.toLowerCase();
+    this.orders = new Map();
+  }
+
+  /**
+   * Applies an active_orders channel message (an array of order update rows)
+   * @param {Array|Object} data - Message data
+   * @returns {Array<Object>} - Emitted events
+   */
+  applyActiveOrders(data) {
+    const updates = Array.isArray(data) && Array.isArray(data[0]) ? data : [data];
+    const events = [];
+
+    for (const update of updates) {
+      const order = parseOrderBookUpdate(update, ACTIVE_ORDER_UPDATE_FIELDS);
+      if (!order.orderHash) {
+        continue;
+      }
+
+      const previous = this.orders.get(order.orderHash);
+      const previousFill = BigInt(previous ? previous.fillAmount || 0 : 0);
+      const totalFilled = BigInt(order.fillAmount || 0);
+      const isFullyFilled = order.totalBetSize !== undefined && totalFilled >= BigInt(order.totalBetSize);
+      const base = { orderHash: order.orderHash, marketHash: order.marketHash, order };
+
+      if (!previous && order.status === 'ACTIVE' && totalFilled === 0n) {
+        events.push({ type: MAKER_EVENT_TYPES.ORDER_POSTED, ...base });
+      }
+
+      if (totalFilled > previousFill) {
+        events.push({
+          type: MAKER_EVENT_TYPES.ORDER_FILLED,
+          ...base,
+          fillAmount: totalFilled - previousFill,
+          totalFilled,
+          isFullyFilled
+        });
+      }
+
+      if (order.status === 'ACTIVE') {
+        this.orders.set(order.orderHash, order);
+      } else {
+        this.orders.delete(order.orderHash);
+        // An order that leaves the book unfilled was cancelled (or expired)
+        if (!isFullyFilled) {
+          events.push({ type: MAKER_EVENT_TYPES.ORDER_CANCELLED, ...base });
+        }
+      }
+    }
+
+    events.forEach(event => this.emitEvent(event));
+    return events;
+  }
+
+  /**
+   * Applies a recent_trades channel message, keeping only the maker's own trades
+   * @param {Array|Object} data - Message data (a trade or an array of trades)
+   * @returns {Array<Object>} - Emitted events
+   */
+  applyTrades(data) {
+    const trades = Array.isArray(data) ? data : [data];
+    const events = [];
+
+    for (const trade of trades) {
+      if (!trade || !trade.bettor || trade.bettor.toLowerCase() !== this.maker || !trade.maker) {
+        continue;
+      }
+
+      let type = MAKER_EVENT_TYPES.TRADE_FILLED;
+      if (trade.tradeStatus === 'FAILED' || trade.valid === false) {
+        type = MAKER_EVENT_TYPES.TRADE_FAILED;
+      } else if (trade.settled) {
+        type = MAKER_EVENT_TYPES.TRADE_SETTLED;
+      }
+
+      events.push({
+        type,
+        orderHash: trade.orderHash,
+        marketHash: trade.marketHash,
+        fillHash: trade.fillHash,
+        trade
+      });
+    }
+
+    events.forEach(event => this.emitEvent(event));
+    return events;
+  }
+
+  /**
+   * Emits an event under its type and under 'event'
+   * @param {Object} event - Maker event
+   */
+  emitEvent(event) {
+    this.emit(event.type, event);
+    this.emit('event', event);
+  }
+}
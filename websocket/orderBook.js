@@ -0,0 +1,225 @@
+// orderBook.js - In-memory order book for one market, seeded from REST and kept in sync from order_book messages
+import { fetchOrders } from '../fetch-orders/orderFetcher.js';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { calculateTakerOdds, calculateRemainingTakerSpace } from '../common/odds.js';
+
+// Field order of an order_book channel update row (the market is implied by the channel);
+// matches the rows captured in websocket_logs.txt
+export const ORDER_BOOK_UPDATE_FIELDS = [
+  'orderHash',
+  'status',
+  'fillAmount',
+  'maker',
+  'totalBetSize',
+  'percentageOdds',
+  'expiry',
+  'apiExpiry',
+  'salt',
+  'isMakerBettingOutcomeOne',
+  'signature',
+  'updateTime',
+  'chainVersion',
+  'sportXeventId'
+];
+
+// Field order of an active_orders channel update row
+export const ACTIVE_ORDER_UPDATE_FIELDS = [
+  'orderHash',
+  'marketHash',
+  'status',
+  'fillAmount',
+  'pendingFillAmount',
+  'totalBetSize',
+  'percentageOdds',
+  'expiry',
+  'apiExpiry',
+  'salt',
+  'isMakerBettingOutcomeOne',
+  'signature',
+  'updateTime',
+  'chainVersion',
+  'sportXeventId'
+];
+
+/**
+ * Converts a channel update (array row or object) into an order object
+ * @param {Array|Object} update - Update from the channel
+ * @param {string[]} fields - Field order of array rows (default: order_book)
+ * @returns {Object} - Order with named fields
+ */
+export function parseOrderBookUpdate(update, fields = ORDER_BOOK_UPDATE_FIELDS) {
+  if (!Array.isArray(update)) {
+    return { ...update };
+  }
+  return fields.reduce((order, field, index) => {
+    if (update[index] !== undefined) {
+      order[field] = update[index];
+    }
+    return order;
+  }, {});
+}
+
+/**
+ * Local copy of a market's active orders. Outcomes and odds are from the taker's
+ * perspective, matching groupOrdersByOutcome: a maker order on outcome one is
+ * liquidity for a taker betting outcome two.
+ */
+export class OrderBook {
+  /**
+   * @param {string} marketHash - Market to track
+   */
+  constructor(marketHash) {
+    this.marketHash = marketHash;
+    this.orders = new Map();
+    this.loaded = false;
+    this.pending = [];
+  }
+
+  /**
+   * Seeds the book from a REST snapshot, then applies any updates received while loading
+   * @param {SXBetClient} client - API client (default: shared client)
+   * @returns {Promise<OrderBook>} - This book
+   */
+  async load(client = getDefaultClient()) {
+    this.loaded = false;
+    let orders;
+    try {
+      orders = await fetchOrders(this.marketHash, client);
+    } catch (error) {
+      console.error(`Error loading order book for ${this.marketHash}:`, error.message);
+      throw error;
+    }
+    return this.seed(orders);
+  }
+
+  /**
+   * Replaces the book's contents with a snapshot, then applies any buffered updates
+   * @param {Array} orders - Active orders for the market
+   * @returns {OrderBook} - This book
+   */
+  seed(orders) {
+    this.orders.clear();
+    for (const order of orders) {
+      this.upsert(order);
+    }
+
+    this.loaded = true;
+    const buffered = this.pending;
+    this.pending = [];
+    for (const update of buffered) {
+      this.applyUpdate(update);
+    }
+    return this;
+  }
+
+  /**
+   * Applies an order_book channel message (an array of update rows)
+   * @param {Array|Object} data - Message data
+   */
+  applyMessage(data) {
+    const updates = Array.isArray(data) && Array.isArray(data[0]) ? data : [data];
+    for (const update of updates) {
+      this.applyUpdate(update);
+    }
+  }
+
+  /**
+   * Applies a single insert, partial fill or cancellation
+   * @param {Array|Object} update - Update row from the channel
+   * @returns {boolean} - True if the book changed
+   */
+  applyUpdate(update) {
+    // Hold updates until the snapshot is in so they are not overwritten by it
+    if (!this.loaded) {
+      this.pending.push(update);
+      return false;
+    }
+
+    const order = parseOrderBookUpdate(update);
+    if (!order.orderHash || (order.marketHash && order.marketHash !== this.marketHash)) {
+      return false;
+    }
+
+    const existing = this.orders.get(order.orderHash);
+    if (existing && existing.updateTime && order.updateTime && Number(order.updateTime) < Number(existing.updateTime)) {
+      return false;
+    }
+
+    if (order.status && order.status !== 'ACTIVE') {
+      return this.orders.delete(order.orderHash);
+    }
+    return this.upsert(existing ? { ...existing, ...order } : order);
+  }
+
+  /**
+   * Stores an order, dropping it once it has no space left
+   * @param {Object} order - Order
+   * @returns {boolean} - True if the book changed
+   */
+  upsert(order) {
+    if (calculateRemainingTakerSpace(order) <= 0n) {
+      return this.orders.delete(order.orderHash);
+    }
+    this.orders.set(order.orderHash, order);
+    return true;
+  }
+
+  /**
+   * Gets an order by hash
+   * @param {string} orderHash - Order hash
+   * @returns {Object|undefined} - Order
+   */
+  getOrder(orderHash) {
+    return this.orders.get(orderHash);
+  }
+
+  /**
+   * Lists the book's orders, optionally for one taker outcome
+   * @param {number} outcome - Taker outcome (1 or 2); all orders when omitted
+   * @returns {Array} - Orders
+   */
+  getOrders(outcome) {
+    const orders = [...this.orders.values()];
+    return outcome === undefined
+      ? orders
+      : orders.filter(order => (order.isMakerBettingOutcomeOne ? 2 : 1) === outcome);
+  }
+
+  /**
+   * Gets the taker stake an order can still absorb
+   * @param {string} orderHash - Order hash
+   * @returns {bigint} - Remaining taker space in base units (0 for unknown orders)
+   */
+  getRemainingTakerSpace(orderHash) {
+    const order = this.orders.get(orderHash);
+    return order ? calculateRemainingTakerSpace(order) : 0n;
+  }
+
+  /**
+   * Aggregates a taker outcome's liquidity by price level, best (lowest taker odds) first
+   * @param {number} outcome - Taker outcome (1 or 2)
+   * @returns {Array} - Levels: { takerOdds, takerSpace, orderCount } (BigInts in base units / 20 decimals)
+   */
+  getDepth(outcome) {
+    const levels = new Map();
+
+    for (const order of this.getOrders(outcome)) {
+      const takerOdds = calculateTakerOdds(order.percentageOdds);
+      const level = levels.get(takerOdds) || { takerOdds, takerSpace: 0n, orderCount: 0 };
+      level.takerSpace += calculateRemainingTakerSpace(order);
+      level.orderCount += 1;
+      levels.set(takerOdds, level);
+    }
+
+    return [...levels.values()].sort((a, b) => (a.takerOdds < b.takerOdds ? -1 : 1));
+  }
+
+  /**
+   * Gets the best price level for a taker outcome
+   * @param {number} outcome - Taker outcome (1 or 2)
+   * @returns {Object|null} - Best level ({ takerOdds, takerSpace, orderCount }) or null for an empty side
+   */
+  getBestOdds(outcome) {
+    return this.getDepth(outcome)[0] || null;
+  }
+}
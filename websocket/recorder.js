@@ -0,0 +1,121 @@
+// recorder.js - Writes websocket traffic as JSONL records, rotating files by size and by day
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RECORDING_DIR = path.join(__dirname, 'recordings');
+
+// Start a new file once the current one reaches this size
+export const DEFAULT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+// Recorder state
+let directory = DEFAULT_RECORDING_DIR;
+let maxFileBytes = DEFAULT_MAX_FILE_BYTES;
+let enabled = false;
+let stream = null;
+let currentDay = null;
+let currentSequence = 0;
+let currentBytes = 0;
+
+/**
+ * Configures recording. Recording is off until enabled; files go to websocket/recordings.
+ * @param {Object} options - Options
+ * @param {boolean} options.enabled - Record traffic (default: false)
+ * @param {string} options.directory - Directory for recording files
+ * @param {number} options.maxFileBytes - Rotate once a file reaches this size
+ */
+export function configureRecorder(options = {}) {
+  closeRecording();
+
+  if (options.enabled !== undefined) {
+    enabled = options.enabled;
+  }
+  if (options.directory) {
+    directory = options.directory;
+  }
+  if (options.maxFileBytes) {
+    maxFileBytes = options.maxFileBytes;
+  }
+}
+
+/**
+ * Builds the path of a recording file
+ * @param {string} day - Day (YYYY-MM-DD)
+ * @param {number} sequence - File number within the day
+ * @returns {string} - File path
+ */
+function getFilePath(day, sequence) {
+  return path.join(directory, `websocket-${day}-${String(sequence).padStart(3, '0')}.jsonl`);
+}
+
+/**
+ * Opens the recording file for a day, continuing the day's last file if it has room,
+ * or the next file in the day's sequence when the current one is full
+ * @param {string} day - Day (YYYY-MM-DD)
+ */
+function openFile(day) {
+  if (stream) {
+    stream.end();
+  }
+  fs.mkdirSync(directory, { recursive: true });
+
+  if (day === currentDay) {
+    currentSequence++;
+    currentBytes = 0;
+  } else {
+    currentSequence = 1;
+    while (fs.existsSync(getFilePath(day, currentSequence + 1))) {
+      currentSequence++;
+    }
+    const filePath = getFilePath(day, currentSequence);
+    currentBytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    if (currentBytes >= maxFileBytes) {
+      currentSequence++;
+      currentBytes = 0;
+    }
+  }
+
+  stream = fs.createWriteStream(getFilePath(day, currentSequence), { flags: 'a' });
+  stream.on('error', (err) => {
+    console.error('Error writing recording:', err.message);
+  });
+  currentDay = day;
+}
+
+/**
+ * Appends one record. Records look like
+ * { receivedAt, type, channel, marketHash, payload }, where type is 'message'
+ * for channel traffic and 'snapshot' for a REST order book snapshot.
+ * @param {Object} record - Record fields (receivedAt defaults to now)
+ */
+export function writeRecord(record) {
+  if (!enabled) {
+    return;
+  }
+
+  const entry = { receivedAt: new Date().toISOString(), ...record };
+  const line = `${JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value))}\n`;
+  const day = entry.receivedAt.substring(0, 10);
+
+  if (!stream || day !== currentDay || currentBytes >= maxFileBytes) {
+    openFile(day);
+  }
+
+  stream.write(line);
+  currentBytes += Buffer.byteLength(line);
+}
+
+/**
+ * Closes the current recording file
+ */
+export function closeRecording() {
+  if (stream) {
+    stream.end();
+    stream = null;
+    currentDay = null;
+    currentSequence = 0;
+    currentBytes = 0;
+  }
+}
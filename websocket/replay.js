@@ -0,0 +1,130 @@
+// replay.js - Feeds JSONL websocket recordings back through the order book and maker event handlers
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { OrderBook } from './orderBook.js';
+import { MakerEventTracker } from './makerEvents.js';
+
+/**
+ * Lists the recording files to replay, oldest first
+ * @param {string} source - A .jsonl file or a directory of them
+ * @returns {string[]} - File paths
+ */
+export function listRecordingFiles(source) {
+  if (!fs.statSync(source).isDirectory()) {
+    return [source];
+  }
+  return fs.readdirSync(source)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => path.join(source, name));
+}
+
+/**
+ * Reads records from recording files one line at a time
+ * @param {string[]} files - Recording files
+ * @returns {AsyncGenerator<Object>} - Records in file order
+ */
+async function* readRecords(files) {
+  for (const file of files) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        console.error(`Skipping malformed record in ${file}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Replays a recording, rebuilding order books and maker events as they were live
+ * @param {string} source - A .jsonl file or a directory of them
+ * @param {Object} options - Options
+ * @param {number} options.speed - Playback speed multiplier; 0 or Infinity replays without delays (default: 0)
+ * @param {string|Date} options.until - Stop before records received after this time
+ * @param {string} options.marketHash - Only replay this market's order book
+ * @param {Function} options.onRecord - Called with each record after it is applied
+ * @returns {Promise<Object>} - { orderBooks: Map<marketHash, OrderBook>, makers: Map<maker, MakerEventTracker>, records }
+ */
+export async function replayRecording(source, { speed = 0, until, marketHash, onRecord } = {}) {
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+  const orderBooks = new Map();
+  const makers = new Map();
+  let previousTime = null;
+  let records = 0;
+
+  for await (const record of readRecords(listRecordingFiles(source))) {
+    const receivedTime = new Date(record.receivedAt).getTime();
+    if (receivedTime > untilTime) {
+      break;
+    }
+    if (marketHash && record.marketHash !== marketHash) {
+      continue;
+    }
+
+    // Keep the original spacing between records, scaled by the speed
+    if (speed > 0 && Number.isFinite(speed) && previousTime !== null && receivedTime > previousTime) {
+      await new Promise(resolve => setTimeout(resolve, (receivedTime - previousTime) / speed));
+    }
+    previousTime = receivedTime;
+
+    applyRecord(record, orderBooks, makers);
+    records++;
+
+    if (onRecord) {
+      onRecord(record, { orderBooks, makers });
+    }
+  }
+
+  return { orderBooks, makers, records };
+}
+
+/**
+ * Routes one record to the handler the live subscription would have used
+ * @param {Object} record - Recording record
+ * @param {Map} orderBooks - Order books by market hash
+ * @param {Map} makers - Maker event trackers by maker address
+ */
+function applyRecord(record, orderBooks, makers) {
+  const [channelType, , channelKey] = record.channel.split(':');
+
+  switch (channelType) {
+    case 'order_book': {
+      const market = record.marketHash || channelKey;
+      if (!orderBooks.has(market)) {
+        const orderBook = new OrderBook(market);
+        // Without a snapshot the book starts empty, so orders resting before the recording are missing
+        if (record.type !== 'snapshot') {
+          console.warn(`Recording of ${market} starts without a snapshot; its book only holds orders seen in messages`);
+          orderBook.seed([]);
+        }
+        orderBooks.set(market, orderBook);
+      }
+      const orderBook = orderBooks.get(market);
+
+      if (record.type === 'snapshot') {
+        orderBook.seed(record.payload);
+      } else {
+        orderBook.applyMessage(record.payload);
+      }
+      break;
+    }
+    case 'active_orders': {
+      const maker = channelKey.toLowerCase();
+      if (!makers.has(maker)) {
+        makers.set(maker, new MakerEventTracker(maker));
+      }
+      makers.get(maker).applyActiveOrders(record.payload);
+      break;
+    }
+    case 'recent_trades':
+      makers.forEach(tracker => tracker.applyTrades(record.payload));
+      break;
+  }
+}
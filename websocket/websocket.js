@@ -1,22 +1,34 @@
 // websocket.js
-// Module for connecting to SX Bet API websocket channels (order_book)
+// Module for connecting to SX Bet API websocket channels (order_book, active_orders, trades)
 
 import * as ably from 'ably';
-import axios from 'axios';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const logPath = path.join(__dirname, 'websocket_logs.txt');
-
-// USDC token address
-const BASE_TOKEN = '0x6629Ce1Cf35Cc1329ebB4F63202F3f197b3F050B';
+import { getDefaultClient } from '../common/sxBetClient.js';
+import { requireNetworkValue } from '../common/networks.js';
+import { getAccount } from '../common/signer.js';
+import { OrderBook } from './orderBook.js';
+import { MakerEventTracker } from './makerEvents.js';
+import { writeRecord, closeRecording } from './recorder.js';
 
 // Ably client instance
 let realtime = null;
-let activeChannel = null;
-let isSubscribed = false;
+
+// Active subscriptions keyed by channel name
+const subscriptions = new Map();
+
+// Maker event trackers keyed by lowercase maker address
+const makerTrackers = new Map();
+
+// Trades for every account are published on one channel; maker trades are filtered locally
+const TRADES_CHANNEL = 'recent_trades';
+
+// Reconnect backoff: doubles from the base delay up to the maximum
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// Reconnect state
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let hadGap = false;
 
 /**
  * Creates a token request for Ably authentication
@@ -24,12 +36,7 @@ let isSubscribed = false;
  */
 async function createTokenRequest() {
   try {
-    const response = await axios.get("https://api.sx.bet/user/token", {
-      headers: {
-        "X-Api-Key": process.env.SX_BET_API_KEY,
-      },
-    });
-    return response.data;
+    return await getDefaultClient().getUserToken();
   } catch (error) {
     console.error('Error creating token request:', error.message);
     throw error;
@@ -37,10 +44,14 @@ async function createTokenRequest() {
 }
 
 /**
- * Initializes the Ably client
+ * Initializes the Ably client (no-op when already connected)
  * @returns {Promise<void>}
  */
 async function initialize() {
+  if (realtime) {
+    return;
+  }
+  
   try {
     realtime = new ably.Realtime({
       authCallback: async (tokenParams, callback) => {
@@ -63,51 +74,220 @@ async function initialize() {
         reject(new Error(`Connection failed: ${err.message}`));
       });
     });
+    
+    realtime.connection.on(handleConnectionStateChange);
   } catch (error) {
     console.error('Failed to initialize Ably client:', error.message);
+    realtime = null;
     throw error;
   }
 }
 
 /**
- * Logs message to file
- * @param {Object} message Message to log
+ * Logs connection state transitions, reconnects with backoff after a drop and
+ * resyncs every subscription once the connection is back
+ * @param {Object} stateChange Ably connection state change
  */
-function logMessageToFile(message) {
-  const timestamp = new Date().toISOString();
-  const logData = `[${timestamp}] ${JSON.stringify(message)}\n`;
+function handleConnectionStateChange(stateChange) {
+  const reason = stateChange.reason ? ` (${stateChange.reason.message})` : '';
+  console.log(`[${new Date().toISOString()}] Websocket ${stateChange.previous} -> ${stateChange.current}${reason}`);
   
-  fs.appendFile(logPath, logData, (err) => {
-    if (err) {
-      console.error('Error writing to log file:', err.message);
+  switch (stateChange.current) {
+    case 'connected':
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      reconnectAttempts = 0;
+      if (hadGap) {
+        hadGap = false;
+        resyncSubscriptions();
+      }
+      break;
+    case 'disconnected':
+    case 'suspended':
+    case 'failed':
+      hadGap = true;
+      scheduleReconnect();
+      break;
+  }
+}
+
+/**
+ * Schedules a reconnect attempt with exponential backoff and jitter
+ */
+function scheduleReconnect() {
+  if (reconnectTimer || !realtime) {
+    return;
+  }
+  
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+  const jitter = Math.floor(Math.random() * delay * 0.2);
+  reconnectAttempts++;
+  console.log(`Reconnecting in ${((delay + jitter) / 1000).toFixed(1)}s (attempt ${reconnectAttempts})`);
+  
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (!realtime) {
+      return;
+    }
+    
+    const state = realtime.connection.state;
+    if (state === 'connected' || state === 'connecting') {
+      return;
     }
-  });
+    
+    realtime.connection.connect();
+    // Ably may stay disconnected without emitting another change; keep retrying until connected
+    scheduleReconnect();
+  }, delay + jitter);
 }
 
 /**
- * Subscribe to order book channel for a specific market
- * @param {string} marketHash The market hash to subscribe to
- * @returns {Promise<boolean>} Success status
+ * Re-attaches every channel and reloads every order book from REST after a gap
+ * @returns {Promise<void>}
  */
-async function subscribeToOrderBook(marketHash) {
+async function resyncSubscriptions() {
+  for (const subscription of subscriptions.values()) {
+    try {
+      await subscription.channel.attach();
+      console.log(`Re-attached ${subscription.channelName}`);
+      await resnapshot(subscription);
+    } catch (error) {
+      console.error(`Error resyncing ${subscription.channelName}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Records an order book's contents right after a REST load so replays can seed from it
+ * @param {string} channelName Channel name
+ * @param {OrderBook} orderBook Loaded order book
+ */
+function recordSnapshot(channelName, orderBook) {
+  writeRecord({ type: 'snapshot', channel: channelName, marketHash: orderBook.marketHash, payload: orderBook.getOrders() });
+}
+
+/**
+ * Reloads a subscription's order book from REST, if it has one
+ * @param {Object} subscription Subscription entry
+ * @returns {Promise<void>}
+ */
+async function resnapshot(subscription) {
+  if (!subscription.orderBook) {
+    return;
+  }
+  
+  await subscription.orderBook.load(getDefaultClient());
+  recordSnapshot(subscription.channelName, subscription.orderBook);
+  console.log(`Resnapshotted order book for ${subscription.marketHash} (${subscription.orderBook.getOrders().length} orders)`);
+}
+
+/**
+ * Subscribe to a channel and track it in the subscription registry
+ * @param {string} channelName Channel name
+ * @param {Function} handler Called with each message's data
+ * @param {Object} details Extra details kept with the subscription (e.g. marketHash, orderBook)
+ * @returns {Promise<Object>} Subscription entry
+ */
+async function subscribeToChannel(channelName, handler, details = {}) {
   if (!realtime) {
     await initialize();
   }
   
-  // Unsubscribe from any existing channel
-  if (activeChannel) {
-    await unsubscribeFromOrderBook();
+  if (subscriptions.has(channelName)) {
+    return subscriptions.get(channelName);
+  }
+  
+  const channel = realtime.channels.get(channelName);
+  const listener = (message) => {
+    writeRecord({ type: 'message', channel: channelName, marketHash: details.marketHash, payload: message.data });
+    handler(message.data);
+  };
+  
+  await channel.subscribe(listener);
+  
+  const subscription = { channelName, channel, listener, subscribedAt: new Date(), ...details };
+  
+  // Message continuity was lost while the channel stayed attached
+  subscription.onUpdate = (stateChange) => {
+    if (!stateChange.resumed) {
+      console.log(`Channel ${channelName} lost continuity; resnapshotting`);
+      resnapshot(subscription).catch(error => {
+        console.error(`Error resnapshotting ${channelName}:`, error.message);
+      });
+    }
+  };
+  channel.on('update', subscription.onUpdate);
+  
+  subscriptions.set(channelName, subscription);
+  return subscription;
+}
+
+/**
+ * Unsubscribe from a channel and remove it from the registry
+ * @param {string} channelName Channel name
+ * @returns {Promise<boolean>} True if the channel was subscribed
+ */
+async function unsubscribeFromChannel(channelName) {
+  const subscription = subscriptions.get(channelName);
+  if (!subscription) {
+    return false;
   }
   
+  subscriptions.delete(channelName);
+  subscription.channel.off('update', subscription.onUpdate);
+  subscription.channel.unsubscribe(subscription.listener);
+  await subscription.channel.detach();
+  return true;
+}
+
+/**
+ * Builds the order book channel name for a market
+ * @param {string} marketHash Market hash
+ * @returns {string} Channel name
+ */
+function getOrderBookChannelName(marketHash) {
+  const baseToken = requireNetworkValue(getDefaultClient().network, 'baseToken');
+  return `order_book:${baseToken}:${marketHash}`;
+}
+
+/**
+ * Subscribe to order book channel for a specific market. Messages are logged and
+ * applied to a local OrderBook seeded from the REST snapshot. Other subscriptions
+ * are kept.
+ * @param {string} marketHash The market hash to subscribe to
+ * @param {Object} options Options
+ * @param {Function} options.onUpdate Called with the order book after each applied message
+ * @returns {Promise<boolean>} Success status
+ */
+async function subscribeToOrderBook(marketHash, { onUpdate } = {}) {
   try {
-    const channelName = `order_book:${BASE_TOKEN}:${marketHash}`;
-    activeChannel = realtime.channels.get(channelName);
+    const channelName = getOrderBookChannelName(marketHash);
+    if (subscriptions.has(channelName)) {
+      console.log(`Already subscribed to order book channel for market: ${marketHash}`);
+      return true;
+    }
     
-    activeChannel.subscribe((message) => {
-      logMessageToFile(message.data);
+    // Subscribe before loading so updates sent during the snapshot are buffered, not missed
+    const orderBook = new OrderBook(marketHash);
+    await subscribeToChannel(channelName, (data) => {
+      orderBook.applyMessage(data);
+      if (onUpdate && orderBook.loaded) {
+        onUpdate(orderBook);
+      }
+    }, {
+      type: 'order_book',
+      marketHash,
+      orderBook
     });
     
-    isSubscribed = true;
+    try {
+      await orderBook.load(getDefaultClient());
+      recordSnapshot(channelName, orderBook);
+    } catch (error) {
+      await unsubscribeFromChannel(channelName);
+      throw error;
+    }
+    
     console.log(`Subscribed to order book channel for market: ${marketHash}`);
     return true;
   } catch (error) {
@@ -117,44 +297,175 @@ async function subscribeToOrderBook(marketHash) {
 }
 
 /**
- * Unsubscribe from the current order book channel
+ * Unsubscribe from a market's order book channel
+ * @param {string} marketHash The market hash to unsubscribe from
  * @returns {Promise<boolean>} Success status
  */
-async function unsubscribeFromOrderBook() {
-  if (!activeChannel) {
-    console.log('No active subscription to unsubscribe from');
+async function unsubscribeFromOrderBook(marketHash) {
+  try {
+    const unsubscribed = await unsubscribeFromChannel(getOrderBookChannelName(marketHash));
+    if (!unsubscribed) {
+      console.log(`No active subscription for market: ${marketHash}`);
+      return false;
+    }
+    
+    console.log(`Unsubscribed from order book channel for market: ${marketHash}`);
+    return true;
+  } catch (error) {
+    console.error('Error unsubscribing from order book channel:', error.message);
     return false;
   }
+}
+
+/**
+ * Unsubscribe from every active channel
+ * @returns {Promise<number>} Number of channels unsubscribed
+ */
+async function unsubscribeFromAll() {
+  let count = 0;
   
+  for (const channelName of [...subscriptions.keys()]) {
+    try {
+      if (await unsubscribeFromChannel(channelName)) {
+        count++;
+      }
+    } catch (error) {
+      console.error(`Error unsubscribing from ${channelName}:`, error.message);
+    }
+  }
+  
+  makerTrackers.forEach(tracker => tracker.removeAllListeners());
+  makerTrackers.clear();
+  return count;
+}
+
+/**
+ * Subscribe to a maker's active_orders channel and the trades channel, and emit typed
+ * events (order_posted, order_filled, order_cancelled, trade_filled, trade_settled,
+ * trade_failed) for the maker's orders.
+ * @param {string} maker Maker address (default: the PRIVATE_KEY account, checked against SX_ACCOUNT_ADDRESS)
+ * @returns {Promise<MakerEventTracker>} Tracker to listen on
+ */
+async function subscribeToMakerEvents(maker = getAccount().address) {
+  const key = maker.toLowerCase();
+  if (makerTrackers.has(key)) {
+    return makerTrackers.get(key);
+  }
+  
+  let ordersChannel = null;
   try {
-    await activeChannel.unsubscribe();
-    console.log('Unsubscribed from order book channel');
-    activeChannel = null;
-    isSubscribed = false;
+    const baseToken = requireNetworkValue(getDefaultClient().network, 'baseToken');
+    const tracker = new MakerEventTracker(maker);
+    
+    ordersChannel = `active_orders:${baseToken}:${maker}`;
+    await subscribeToChannel(ordersChannel, (data) => tracker.applyActiveOrders(data), {
+      type: 'active_orders',
+      maker
+    });
+    await subscribeToChannel(TRADES_CHANNEL, (data) => {
+      makerTrackers.forEach(makerTracker => makerTracker.applyTrades(data));
+    }, { type: 'recent_trades' });
+    
+    makerTrackers.set(key, tracker);
+    console.log(`Subscribed to order and trade events for maker: ${maker}`);
+    return tracker;
+  } catch (error) {
+    console.error('Error subscribing to maker events:', error.message);
+    
+    // Don't leave the orders channel subscribed without its tracker
+    if (ordersChannel) {
+      await unsubscribeFromChannel(ordersChannel).catch(cleanupError => {
+        console.error(`Error unsubscribing from ${ordersChannel}:`, cleanupError.message);
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unsubscribe from a maker's events. The trades channel is left once no maker is tracked.
+ * @param {string} maker Maker address
+ * @returns {Promise<boolean>} Success status
+ */
+async function unsubscribeFromMakerEvents(maker) {
+  const key = maker.toLowerCase();
+  if (!makerTrackers.has(key)) {
+    console.log(`No active maker subscription for: ${maker}`);
+    return false;
+  }
+  
+  try {
+    const baseToken = requireNetworkValue(getDefaultClient().network, 'baseToken');
+    makerTrackers.get(key).removeAllListeners();
+    makerTrackers.delete(key);
+    
+    await unsubscribeFromChannel(`active_orders:${baseToken}:${maker}`);
+    if (makerTrackers.size === 0) {
+      await unsubscribeFromChannel(TRADES_CHANNEL);
+    }
+    
+    console.log(`Unsubscribed from order and trade events for maker: ${maker}`);
     return true;
   } catch (error) {
-    console.error('Error unsubscribing from order book channel:', error.message);
+    console.error('Error unsubscribing from maker events:', error.message);
     return false;
   }
 }
 
 /**
- * Check if currently subscribed to an order book channel
+ * Check if subscribed to a market's order book, or to any channel when no market is given
+ * @param {string} marketHash Market hash (optional)
  * @returns {boolean} Subscription status
  */
-function isSubscribedToChannel() {
-  return isSubscribed;
+function isSubscribedToChannel(marketHash) {
+  if (marketHash === undefined) {
+    return subscriptions.size > 0;
+  }
+  return subscriptions.has(getOrderBookChannelName(marketHash));
+}
+
+/**
+ * List every active subscription
+ * @returns {Array<Object>} Subscriptions: { channelName, type, marketHash, maker, subscribedAt, orderCount }
+ */
+function getSubscriptions() {
+  return [...subscriptions.values()].map(subscription => ({
+    channelName: subscription.channelName,
+    type: subscription.type,
+    marketHash: subscription.marketHash,
+    maker: subscription.maker,
+    subscribedAt: subscription.subscribedAt,
+    orderCount: subscription.orderBook ? subscription.orderBook.getOrders().length : undefined
+  }));
+}
+
+/**
+ * Get the local order book for a subscribed market
+ * @param {string} marketHash Market hash
+ * @returns {OrderBook|null} Order book, or null when not subscribed
+ */
+function getOrderBook(marketHash) {
+  const subscription = subscriptions.get(getOrderBookChannelName(marketHash));
+  return subscription ? subscription.orderBook : null;
 }
 
 /**
  * Close the connection
  */
 async function closeConnection() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectAttempts = 0;
+  hadGap = false;
+  
   if (realtime) {
+    realtime.connection.off(handleConnectionStateChange);
     await realtime.close();
     realtime = null;
-    activeChannel = null;
-    isSubscribed = false;
+    subscriptions.clear();
+    makerTrackers.forEach(tracker => tracker.removeAllListeners());
+    makerTrackers.clear();
+    closeRecording();
     console.log('Connection closed');
   }
 }
@@ -163,6 +474,11 @@ export {
   initialize,
   subscribeToOrderBook,
   unsubscribeFromOrderBook,
+  unsubscribeFromAll,
+  subscribeToMakerEvents,
+  unsubscribeFromMakerEvents,
   isSubscribedToChannel,
+  getSubscriptions,
+  getOrderBook,
   closeConnection
 };
\ No newline at end of file